@@ -0,0 +1,192 @@
+// ─── Quick-add parser ────────────────────────────────────────────────────────
+// Turns one line of text into task fields:
+//
+//   parseQuickAdd("Write proposal tomorrow 5pm !high ~2h #clientX every monday")
+//   → { title: "Write proposal", deadline: "2026-10-20T17:00", priority: "high", estimatedTime: 2,
+//       tags: ["clientX"], recurrence: { freq: "weekly", interval: 1, byDay: [1] }, parts: [...] }
+//
+// Standalone on purpose — no React, no app state — so it's tested on its own (quickAdd.test.js, `npm test`).
+// The recurrence is a bare rule; the app pins it to the deadline with Recurrence.normalize like rules coming
+// from TaskModal.
+
+const DAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const MONTH_NAMES = ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"];
+const END_OF_DAY = { h: 23, m: 59 };
+const TONIGHT = { h: 20, m: 0 };
+
+const pad2 = (n) => String(n).padStart(2, "0");
+const toLocalInput = (d) => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}T${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+
+// Full names, 3-letter abbreviations and a few common longer ones ("tues", "thurs", "sept").
+const dayIndex = (word) => {
+  const w = word.toLowerCase();
+  return DAY_NAMES.findIndex(d => d === w || (w.length >= 3 && w.length <= 5 && d.startsWith(w)));
+};
+const monthIndex = (word) => {
+  const w = word.toLowerCase().replace(/\.$/, "");
+  return w === "sept" ? 8 : MONTH_NAMES.findIndex(m => m === w || m.slice(0, 3) === w);
+};
+
+// A token must stand on its own: not glued to letters, digits or the other markers.
+const token = (body, flags = "gi") => new RegExp(`(?<![\\w#~!/:.-])${body}(?![\\w/:-])`, flags);
+const DUE = "(?:(?:on|by|due|before)\\s+)?";
+
+const dateOf = (base, days = 0) => {
+  const d = new Date(base);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() + days);
+  return d;
+};
+// Next date falling on `weekday`; `strict` skips today.
+const nextWeekday = (now, weekday, strict = true) => {
+  const ahead = (weekday - now.getDay() + 7) % 7;
+  return dateOf(now, ahead === 0 && strict ? 7 : ahead);
+};
+// A month/day with no year means the next time that date comes round.
+const upcoming = (now, month, day, year) => {
+  if (year) return new Date(year < 100 ? 2000 + year : year, month, day);
+  const d = new Date(now.getFullYear(), month, day);
+  return d < dateOf(now) ? new Date(now.getFullYear() + 1, month, day) : d;
+};
+const validDate = (d, month, day) => d.getMonth() === month && d.getDate() === day;
+
+const to24h = (h, m, meridiem) => {
+  const ampm = (meridiem || "").toLowerCase()[0];
+  if (h > 23 || m > 59 || (ampm && (h < 1 || h > 12))) return null;
+  if (ampm === "p" && h < 12) return { h: h + 12, m };
+  if (ampm === "a" && h === 12) return { h: 0, m };
+  return { h, m };
+};
+
+const PRIORITY_WORDS = { high: "high", h: "high", 1: "high", medium: "medium", med: "medium", m: "medium", 2: "medium", low: "low", l: "low", 3: "low" };
+const UNIT_HOURS = { m: 1 / 60, min: 1 / 60, mins: 1 / 60, minute: 1 / 60, minutes: 1 / 60, h: 1, hr: 1, hrs: 1, hour: 1, hours: 1 };
+
+export function parseQuickAdd(input, now = new Date()) {
+  const found = { tags: [], priority: null, estimatedTime: 0, recurrence: null, date: null, time: null, exact: null };
+  const parts = [];
+  let rest = ` ${input} `;
+
+  // Runs one pattern over what's left. A handler returns false to leave its match in the title.
+  const take = (kind, re, handler) => {
+    rest = rest.replace(re, (...m) => {
+      if (handler(...m) === false) return m[0];
+      parts.push({ kind, text: m[0].trim() });
+      return " ";
+    });
+  };
+
+  take("tag", /(?<!\S)#([\p{L}\p{N}_-]+)(?!\S)/gu, (_, tag) => {
+    if (!found.tags.includes(tag)) found.tags.push(tag);
+  });
+
+  take("priority", /(?<!\S)(!{1,3})(high|medium|med|low|h|m|l|[123])?(?!\S)/gi, (_, bangs, word) => {
+    if (found.priority) return false;
+    // A bare "!!!" is high, "!!" medium, "!" low.
+    found.priority = word ? PRIORITY_WORDS[word.toLowerCase()] : PRIORITY_WORDS[4 - bangs.length];
+  });
+
+  take("estimate", /(?<!\S)~\s?(\d+(?:\.\d+)?)\s?(h|hrs?|hours?|m|mins?|minutes?)?(?:\s?(\d+)\s?(m|mins?|minutes?))?(?!\S)/gi, (_, n, unit, extra) => {
+    if (found.estimatedTime) return false;
+    found.estimatedTime = Math.round((Number(n) * UNIT_HOURS[(unit || "h").toLowerCase()] + (Number(extra) || 0) / 60) * 100) / 100;
+  });
+
+  // ── Recurrence (before dates, so "every monday" isn't read as a deadline)
+  take("repeat", token("every\\s+(?:(other|\\d+)\\s+)?(day|week|month|weekday)s?"), (_, every, unit) => {
+    if (found.recurrence) return false;
+    const interval = every === "other" ? 2 : Number(every) || 1;
+    found.recurrence = unit.toLowerCase() === "weekday"
+      ? { freq: "weekly", interval: 1, byDay: [1, 2, 3, 4, 5] }
+      : { freq: { day: "daily", week: "weekly", month: "monthly" }[unit.toLowerCase()], interval, byDay: [] };
+  });
+  take("repeat", token("every\\s+([a-z]+(?:\\s*(?:,|and|&)\\s*[a-z]+)*)"), (_, list) => {
+    const days = list.split(/\s*(?:,|and|&)\s*/i).map(dayIndex);
+    if (found.recurrence || days.some(d => d < 0)) return false;
+    found.recurrence = { freq: "weekly", interval: 1, byDay: [...new Set(days)].sort() };
+  });
+
+  // ── Dates. Only the first one counts; later ones stay in the title.
+  const setDate = (d) => { if (found.date || found.exact || isNaN(d)) return false; found.date = d; };
+
+  take("date", token("in\\s+(\\d+|an?)\\s+(minute|min|hour|hr|day|week|month)s?"), (_, n, unit) => {
+    if (found.date || found.exact) return false;
+    const count = /^an?$/i.test(n) ? 1 : Number(n);
+    const u = unit.toLowerCase();
+    if (u.startsWith("min") || u.startsWith("h")) found.exact = new Date(now.getTime() + count * (u.startsWith("h") ? 3600000 : 60000));
+    else if (u === "month") { const d = dateOf(now); d.setMonth(d.getMonth() + count); found.date = d; }
+    else found.date = dateOf(now, count * (u === "week" ? 7 : 1));
+  });
+  take("date", token(`${DUE}(today|tonight|tonite|tomorrow|tmrw|tmr)`), (_, word) => {
+    const w = word.toLowerCase();
+    if (setDate(dateOf(now, w.startsWith("t") && w.includes("m") ? 1 : 0)) === false) return false;
+    if (w.startsWith("toni")) found.tonight = true;
+  });
+  take("date", token(`${DUE}next\\s+(week|month)`), (_, unit) => setDate(unit.toLowerCase() === "week"
+    ? nextWeekday(now, 1)
+    : new Date(now.getFullYear(), now.getMonth() + 1, 1)));
+  take("date", token(`(${DUE})(?:(next|this)\\s+)?([a-z]{3,9})`), (_, due, which, word) => {
+    const day = dayIndex(word);
+    // Abbreviations ("sun", "sat") only count after on/by/next/this — otherwise they're ordinary words.
+    if (day < 0 || (!due && !which && word.toLowerCase() !== DAY_NAMES[day])) return false;
+    // "monday" on a Monday is today; "next monday" is a week out.
+    const next = which?.toLowerCase() === "next";
+    const d = nextWeekday(now, day, next);
+    return setDate(next && (day - now.getDay() + 7) % 7 !== 0 ? dateOf(d, 7) : d);
+  });
+  take("date", token(`${DUE}(\\d{4})-(\\d{1,2})-(\\d{1,2})`), (_, y, m, d) => {
+    const date = new Date(+y, m - 1, +d);
+    return validDate(date, m - 1, +d) ? setDate(date) : false;
+  });
+  take("date", token(`${DUE}(\\d{1,2})/(\\d{1,2})(?:/(\\d{2}|\\d{4}))?`), (_, m, d, y) => {
+    const date = upcoming(now, m - 1, +d, y && +y);
+    return validDate(date, m - 1, +d) ? setDate(date) : false;
+  });
+  take("date", token(`${DUE}(\\d{1,2})(?:st|nd|rd|th)?\\s+([a-z]{3,9}\\.?)(?:\\s+(\\d{4}))?`), (_, d, month, y) => {
+    const m = monthIndex(month);
+    if (m < 0) return false;
+    const date = upcoming(now, m, +d, y && +y);
+    return validDate(date, m, +d) ? setDate(date) : false;
+  });
+  take("date", token(`${DUE}([a-z]{3,9}\\.?)\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?`), (_, month, d, y) => {
+    const m = monthIndex(month);
+    if (m < 0) return false;
+    const date = upcoming(now, m, +d, y && +y);
+    return validDate(date, m, +d) ? setDate(date) : false;
+  });
+
+  // ── Times: "5pm", "5:30 pm", "at 17:00", "17:30", "at 9", "noon". `bare` = no am/pm given.
+  const setTime = (t, bare = false) => { if (found.time || found.exact || !t) return false; found.time = { ...t, bare }; };
+  take("time", token("(?:at\\s+|@\\s?)?(\\d{1,2})(?::(\\d{2}))?\\s?(am|pm|a|p)"), (_, h, m, ampm) => setTime(to24h(+h, +(m || 0), ampm)));
+  take("time", token("(?:at\\s+)?(\\d{1,2}):(\\d{2})"), (_, h, m) => setTime(to24h(+h, +m), true));
+  take("time", token("at\\s+(\\d{1,2})"), (_, h) => setTime(to24h(+h, 0), true));
+  take("time", token("(?:at\\s+)?(noon|midnight)"), (_, word) => setTime(word.toLowerCase() === "noon" ? { h: 12, m: 0 } : { h: 23, m: 59 }));
+
+  return {
+    title: rest.replace(/\s+/g, " ").trim(),
+    deadline: resolveDeadline(found, now),
+    priority: found.priority,
+    estimatedTime: found.estimatedTime,
+    tags: found.tags,
+    recurrence: found.recurrence,
+    parts,
+  };
+}
+
+// Date without a time → end of that day; time without a date → the next time the clock shows it.
+// A repeat with neither starts at its next occurrence.
+function resolveDeadline({ date, time, exact, tonight, recurrence }, now) {
+  if (exact) return toLocalInput(exact);
+  const at = (d, t) => { const x = new Date(d); x.setHours(t.h, t.m, 0, 0); return x; };
+  // "at 10 tonight" is 10pm.
+  if (tonight && time?.bare && time.h < 12) time = { ...time, h: time.h + 12 };
+  if (date) return toLocalInput(at(date, time || (tonight ? TONIGHT : END_OF_DAY)));
+  if (!time && !recurrence) return "";
+  const t = time || END_OF_DAY;
+  let d = dateOf(now);
+  // "every week" names no weekday: the first one is just the next time the clock shows `t`, like a daily repeat.
+  if (recurrence?.freq === "weekly" && recurrence.byDay.length) {
+    while (!recurrence.byDay.includes(d.getDay()) || at(d, t) <= now) d = dateOf(d, 1);
+  } else if (at(d, t) <= now) {
+    d = dateOf(d, 1);
+  }
+  return toLocalInput(at(d, t));
+}
@@ -0,0 +1,158 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseQuickAdd } from "./quickAdd.js";
+
+// Monday 19 October 2026, 10:00 local time. Deadlines are local too, so these hold in any timezone.
+const NOW = new Date(2026, 9, 19, 10, 0);
+const parse = (text, now = NOW) => parseQuickAdd(text, now);
+const deadline = (text, now) => parse(text, now).deadline;
+
+test("the README example", () => {
+  const { parts, ...fields } = parse("Write proposal tomorrow 5pm !high ~2h #clientX every monday");
+  assert.deepEqual(fields, {
+    title: "Write proposal", deadline: "2026-10-20T17:00", priority: "high", estimatedTime: 2,
+    tags: ["clientX"], recurrence: { freq: "weekly", interval: 1, byDay: [1] },
+  });
+  assert.deepEqual(parts.map(p => p.kind).sort(), ["date", "estimate", "priority", "repeat", "tag", "time"]);
+});
+
+test("plain text stays the title", () => {
+  assert.deepEqual(parse("  Call   the bank "), {
+    title: "Call the bank", deadline: "", priority: null, estimatedTime: 0, tags: [], recurrence: null, parts: [],
+  });
+});
+
+test("relative dates", () => {
+  assert.equal(deadline("a today"), "2026-10-19T23:59");
+  assert.equal(deadline("a tonight"), "2026-10-19T20:00");
+  assert.equal(deadline("a tomorrow"), "2026-10-20T23:59");
+  assert.equal(deadline("a tmrw"), "2026-10-20T23:59");
+  assert.equal(deadline("a in 2 days"), "2026-10-21T23:59");
+  assert.equal(deadline("a in a week"), "2026-10-26T23:59");
+  assert.equal(deadline("a in 1 month"), "2026-11-19T23:59");
+  assert.equal(deadline("a in 2 hours"), "2026-10-19T12:00");
+  assert.equal(deadline("a in 30 minutes"), "2026-10-19T10:30");
+  assert.equal(deadline("a next week"), "2026-10-26T23:59");
+  assert.equal(deadline("a next month"), "2026-11-01T23:59");
+});
+
+test("weekdays", () => {
+  assert.equal(deadline("a friday"), "2026-10-23T23:59");
+  assert.equal(deadline("a by fri"), "2026-10-23T23:59");
+  assert.equal(deadline("a this fri"), "2026-10-23T23:59");
+  assert.equal(deadline("a next fri"), "2026-10-30T23:59");
+  assert.equal(deadline("a sunday"), "2026-10-25T23:59");
+  // Today's weekday is today; "next" is a week out.
+  assert.equal(deadline("meeting on mon"), "2026-10-19T23:59");
+  assert.equal(deadline("meeting monday"), "2026-10-19T23:59");
+  assert.equal(deadline("meeting next monday"), "2026-10-26T23:59");
+  // Bare abbreviations are ordinary words.
+  assert.equal(parse("sat down with sun").title, "sat down with sun");
+});
+
+test("absolute dates", () => {
+  assert.equal(deadline("a 2026-11-01"), "2026-11-01T23:59");
+  assert.equal(deadline("a 11/1"), "2026-11-01T23:59");
+  assert.equal(deadline("a 1/15"), "2027-01-15T23:59"); // already past this year
+  assert.equal(deadline("a 11/1/27"), "2027-11-01T23:59");
+  assert.equal(deadline("a Oct 25"), "2026-10-25T23:59");
+  assert.equal(deadline("a on Oct 25th"), "2026-10-25T23:59");
+  assert.equal(deadline("a 25 Oct 2027"), "2027-10-25T23:59");
+  assert.equal(deadline("a sept 3"), "2027-09-03T23:59");
+  // Not a real date: left in the title.
+  assert.deepEqual([parse("a 2026-02-30").title, deadline("a 2026-02-30")], ["a 2026-02-30", ""]);
+});
+
+test("only the first date counts", () => {
+  const { title, deadline: due } = parse("call mom friday not saturday");
+  assert.equal(due, "2026-10-23T23:59");
+  assert.equal(title, "call mom not saturday");
+});
+
+test("am/pm times", () => {
+  assert.equal(deadline("a tomorrow 5pm"), "2026-10-20T17:00");
+  assert.equal(deadline("a tomorrow 5:30 pm"), "2026-10-20T17:30");
+  assert.equal(deadline("a tomorrow at 9am"), "2026-10-20T09:00");
+  assert.equal(deadline("a tomorrow 12am"), "2026-10-20T00:00");
+  assert.equal(deadline("a tomorrow 12pm"), "2026-10-20T12:00");
+  assert.equal(deadline("a tomorrow @ 7p"), "2026-10-20T19:00");
+});
+
+test("24h times and words", () => {
+  assert.equal(deadline("a tomorrow 17:30"), "2026-10-20T17:30");
+  assert.equal(deadline("a tomorrow at 17:00"), "2026-10-20T17:00");
+  assert.equal(deadline("a tomorrow at 9"), "2026-10-20T09:00");
+  assert.equal(deadline("a tomorrow noon"), "2026-10-20T12:00");
+  assert.equal(deadline("a tomorrow at midnight"), "2026-10-20T23:59");
+  assert.equal(parse("a at 25:00").title, "a at 25:00");
+});
+
+test("a time without a date is the next time the clock shows it", () => {
+  assert.equal(deadline("a 5pm"), "2026-10-19T17:00");
+  assert.equal(deadline("a 9am"), "2026-10-20T09:00");
+});
+
+test("tonight with a bare hour is in the evening", () => {
+  assert.equal(deadline("party at 10 tonight"), "2026-10-19T22:00");
+  assert.equal(deadline("party tonight at 9:30"), "2026-10-19T21:30");
+  assert.equal(deadline("party tonight at 10am"), "2026-10-19T10:00");
+  assert.equal(deadline("party tonight at 21:00"), "2026-10-19T21:00");
+});
+
+test("priority", () => {
+  assert.equal(parse("a !high").priority, "high");
+  assert.equal(parse("a !med").priority, "medium");
+  assert.equal(parse("a !l").priority, "low");
+  assert.equal(parse("a !1").priority, "high");
+  assert.equal(parse("a !3").priority, "low");
+  assert.equal(parse("a !!!").priority, "high");
+  assert.equal(parse("a !!").priority, "medium");
+  assert.equal(parse("a !").priority, "low");
+  // Only the first one counts; a "!" inside a word isn't a marker.
+  assert.deepEqual([parse("a !low !high").priority, parse("a !low !high").title], ["low", "a !high"]);
+  assert.equal(parse("wow!").priority, null);
+});
+
+test("estimate", () => {
+  assert.equal(parse("a ~2h").estimatedTime, 2);
+  assert.equal(parse("a ~30m").estimatedTime, 0.5);
+  assert.equal(parse("a ~1h30m").estimatedTime, 1.5);
+  assert.equal(parse("a ~ 1.5 hours").estimatedTime, 1.5);
+  assert.equal(parse("a ~3").estimatedTime, 3);
+  assert.equal(parse("a ~45 minutes").estimatedTime, 0.75);
+});
+
+test("tags", () => {
+  const { title, tags } = parse("#work fix #bug-123 and #work again #café");
+  assert.deepEqual(tags, ["work", "bug-123", "café"]);
+  assert.equal(title, "fix and again");
+  assert.deepEqual(parse("issue#5").tags, []);
+});
+
+test("recurrence", () => {
+  const rule = (text) => parse(text).recurrence;
+  assert.deepEqual(rule("a every day"), { freq: "daily", interval: 1, byDay: [] });
+  assert.deepEqual(rule("a every other day"), { freq: "daily", interval: 2, byDay: [] });
+  assert.deepEqual(rule("a every 3 days"), { freq: "daily", interval: 3, byDay: [] });
+  assert.deepEqual(rule("a every week"), { freq: "weekly", interval: 1, byDay: [] });
+  assert.deepEqual(rule("a every other week"), { freq: "weekly", interval: 2, byDay: [] });
+  assert.deepEqual(rule("a every 2 weeks"), { freq: "weekly", interval: 2, byDay: [] });
+  assert.deepEqual(rule("a every month"), { freq: "monthly", interval: 1, byDay: [] });
+  assert.deepEqual(rule("a every weekday"), { freq: "weekly", interval: 1, byDay: [1, 2, 3, 4, 5] });
+  assert.deepEqual(rule("a every monday"), { freq: "weekly", interval: 1, byDay: [1] });
+  assert.deepEqual(rule("a every mon and thu"), { freq: "weekly", interval: 1, byDay: [1, 4] });
+  assert.deepEqual(rule("a every fri, tue & wed"), { freq: "weekly", interval: 1, byDay: [2, 3, 5] });
+  assert.equal(rule("a every thing"), null);
+});
+
+test("a repeat without a date starts at its next occurrence", () => {
+  assert.equal(deadline("water plants every week"), "2026-10-19T23:59");
+  assert.equal(deadline("standup every other week 9am"), "2026-10-20T09:00");
+  assert.equal(deadline("gym every 2 weeks"), "2026-10-19T23:59");
+  assert.equal(deadline("report every fri"), "2026-10-23T23:59");
+  assert.equal(deadline("standup every weekday 9am"), "2026-10-20T09:00");
+  assert.equal(deadline("review every monday 9am"), "2026-10-26T09:00");
+  assert.equal(deadline("rent every month"), "2026-10-19T23:59");
+  // A repeat doesn't take over an explicit date.
+  assert.equal(deadline("a every monday from Nov 2"), "2026-11-02T23:59");
+});
@@ -0,0 +1,141 @@
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import initSqlJs from "sql.js";
+
+// ─── SQLite file (sql.js keeps it in memory; every write is flushed to disk) ──
+export async function openDatabase(file) {
+  const SQL = await initSqlJs();
+  const db = fs.existsSync(file) ? new SQL.Database(fs.readFileSync(file)) : new SQL.Database();
+
+  const persist = () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, Buffer.from(db.export()));
+  };
+
+  const all = (sql, params = []) => {
+    const stmt = db.prepare(sql);
+    stmt.bind(params);
+    const rows = [];
+    while (stmt.step()) rows.push(stmt.getAsObject());
+    stmt.free();
+    return rows;
+  };
+  const get = (sql, params) => all(sql, params)[0] || null;
+  const run = (sql, params = []) => { db.run(sql, params); persist(); };
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      email TEXT NOT NULL UNIQUE,
+      pass_hash TEXT NOT NULL,
+      salt TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS sessions (
+      token TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL REFERENCES users(id),
+      created_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS tasks (
+      id TEXT NOT NULL,
+      user_id TEXT NOT NULL REFERENCES users(id),
+      data TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (user_id, id)
+    );
+  `);
+  // Added after the first release of this file: sliding session expiry.
+  if (!all("PRAGMA table_info(sessions)").some(c => c.name === "last_seen")) {
+    db.exec("ALTER TABLE sessions ADD COLUMN last_seen TEXT");
+    db.exec("UPDATE sessions SET last_seen = created_at");
+  }
+  persist();
+
+  return { all, get, run };
+}
+
+// ─── Passwords & tokens ──────────────────────────────────────────────────────
+export const hashPassword = (password, salt = crypto.randomBytes(16).toString("hex")) =>
+  ({ salt, hash: crypto.scryptSync(password, salt, 64).toString("hex") });
+
+export const verifyPassword = (password, salt, hash) =>
+  crypto.timingSafeEqual(Buffer.from(hashPassword(password, salt).hash, "hex"), Buffer.from(hash, "hex"));
+
+export const newToken = () => crypto.randomBytes(32).toString("hex");
+
+export const SESSION_TTL = Number(process.env.SESSION_TTL_MS) || 7 * 86400000;
+// last_seen only moves once it's this stale: every write rewrites the whole database file, so bumping it on every
+// request would turn each read into a disk write. Expiry is at most this much early.
+const SESSION_TOUCH_MS = Math.min(5 * 60000, SESSION_TTL / 10);
+
+// ─── Queries ─────────────────────────────────────────────────────────────────
+// Tasks are stored as JSON documents: the client owns the task shape, the server owns who can see it.
+export function createStore(db) {
+  const publicUser = (row) => row && { id: row.id, name: row.name, email: row.email, createdAt: row.created_at };
+
+  const store = {
+    findUserByEmail: (email) => db.get("SELECT * FROM users WHERE email = ?", [email]),
+    createUser: ({ name, email, password }) => {
+      const { salt, hash } = hashPassword(password);
+      const user = { id: Date.now().toString(), name, email, createdAt: new Date().toISOString() };
+      db.run("INSERT INTO users (id, name, email, pass_hash, salt, created_at) VALUES (?, ?, ?, ?, ?, ?)",
+        [user.id, name, email, hash, salt, user.createdAt]);
+      return user;
+    },
+    publicUser,
+
+    createSession: (userId) => {
+      const token = newToken();
+      const now = new Date().toISOString();
+      db.run("INSERT INTO sessions (token, user_id, created_at, last_seen) VALUES (?, ?, ?, ?)", [token, userId, now, now]);
+      return token;
+    },
+    // Sliding expiry: a token is good for SESSION_TTL after its last use.
+    userForToken: (token) => {
+      const row = db.get(
+        "SELECT users.*, sessions.last_seen FROM sessions JOIN users ON users.id = sessions.user_id WHERE sessions.token = ?", [token]);
+      if (!row) return null;
+      const idle = Date.now() - new Date(row.last_seen).getTime();
+      if (idle > SESSION_TTL) {
+        store.deleteSession(token);
+        return null;
+      }
+      if (idle > SESSION_TOUCH_MS) db.run("UPDATE sessions SET last_seen = ? WHERE token = ?", [new Date().toISOString(), token]);
+      return publicUser(row);
+    },
+    deleteSession: (token) => db.run("DELETE FROM sessions WHERE token = ?", [token]),
+    deleteUserSessions: (userId) => db.run("DELETE FROM sessions WHERE user_id = ?", [userId]),
+
+    listTasks: (userId) => db.all("SELECT data FROM tasks WHERE user_id = ? ORDER BY rowid", [userId]).map(r => JSON.parse(r.data)),
+    getTask: (userId, id) => {
+      const row = db.get("SELECT data FROM tasks WHERE user_id = ? AND id = ?", [userId, id]);
+      return row && JSON.parse(row.data);
+    },
+    saveTask: (userId, task) => {
+      db.run(`INSERT INTO tasks (id, user_id, data, updated_at) VALUES (?, ?, ?, ?)
+              ON CONFLICT (user_id, id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`,
+      [task.id, userId, JSON.stringify(task), new Date().toISOString()]);
+      return task;
+    },
+    deleteTask: (userId, id) => db.run("DELETE FROM tasks WHERE user_id = ? AND id = ?", [userId, id]),
+  };
+
+  // Same demo account and sample tasks the client seeds in local mode.
+  if (!store.findUserByEmail("demo@task.com")) {
+    const { salt, hash } = hashPassword("demo123");
+    const now = new Date().toISOString();
+    db.run("INSERT INTO users (id, name, email, pass_hash, salt, created_at) VALUES (?, ?, ?, ?, ?, ?)",
+      ["demo", "Demo User", "demo@task.com", hash, salt, now]);
+    [
+      { id: "t1", title: "Design landing page mockup", priority: "high", deadline: new Date(Date.now() + 86400000).toISOString(), estimatedTime: 4, completed: false, createdAt: now, description: "" },
+      { id: "t2", title: "Write project proposal", priority: "high", deadline: new Date(Date.now() + 172800000).toISOString(), estimatedTime: 2, completed: false, createdAt: now, description: "" },
+      { id: "t3", title: "Review pull requests", priority: "medium", deadline: "", estimatedTime: 1, completed: true, completedAt: now, createdAt: now, description: "" },
+      { id: "t4", title: "Update documentation", priority: "low", deadline: "", estimatedTime: 3, completed: false, createdAt: now, description: "" },
+      { id: "t5", title: "Team standup notes", priority: "low", deadline: "", estimatedTime: 0.5, completed: true, completedAt: now, createdAt: now, description: "" },
+    ].forEach(t => store.saveTask("demo", t));
+  }
+
+  return store;
+}
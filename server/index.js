@@ -0,0 +1,160 @@
+import http from "node:http";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { openDatabase, createStore, verifyPassword } from "./db.js";
+
+const PORT = Number(process.env.PORT) || 3001;
+const DB_FILE = process.env.DB_FILE || path.join(path.dirname(fileURLToPath(import.meta.url)), "taskflow.sqlite");
+const MAX_BODY = 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message, data) {
+    super(message);
+    this.status = status;
+    this.data = data;
+  }
+}
+
+// ─── Request helpers ─────────────────────────────────────────────────────────
+// Chunks are joined as bytes before decoding: a multibyte character can be split across two of them. Every route
+// takes an object, so any other JSON value is refused here.
+const readJson = (req) => new Promise((resolve, reject) => {
+  let chunks = [];
+  let size = 0;
+  req.on("data", chunk => {
+    chunks.push(chunk);
+    size += chunk.length;
+    if (size <= MAX_BODY) return;
+    // Stop reading; the 413 response then closes the connection (see createApp) instead of draining the rest.
+    req.removeAllListeners("data");
+    req.pause();
+    chunks = [];
+    reject(new HttpError(413, "Request body too large."));
+  });
+  req.on("end", () => {
+    const body = Buffer.concat(chunks).toString("utf8");
+    let data;
+    try { data = body ? JSON.parse(body) : {}; } catch { return reject(new HttpError(400, "Invalid JSON body.")); }
+    if (!data || typeof data !== "object" || Array.isArray(data)) return reject(new HttpError(400, "Expected a JSON object."));
+    resolve(data);
+  });
+  req.on("error", reject);
+});
+
+// Optimistic concurrency: a write naming the revision it was based on (If-Match: "<rev>") is refused with 409 and
+// the current task once that task has moved on. The client merges the two and retries.
+const checkRevision = (req, current) => {
+  const expected = req.headers["if-match"];
+  if (expected !== undefined && expected.replace(/"/g, "") !== String(current.rev || 0)) {
+    throw new HttpError(409, "Task was changed elsewhere.", { current });
+  }
+};
+
+// Route parameters come percent-encoded; a broken escape (e.g. "%E0%A4") can't name anything.
+const decodeParam = (value) => {
+  try { return decodeURIComponent(value); } catch { throw new HttpError(400, "Malformed URL."); }
+};
+
+const send = (res, status, data) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(data === undefined ? "" : JSON.stringify(data));
+};
+
+// ─── Routes ──────────────────────────────────────────────────────────────────
+export function createApp(store) {
+  const authUser = (req) => {
+    const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+    const user = token && store.userForToken(token);
+    if (!user) throw new HttpError(401, "Not signed in.");
+    return { user, token };
+  };
+
+  const routes = [
+    ["POST", /^\/api\/auth\/register$/, async (req) => {
+      const { name, email, password } = await readJson(req);
+      if (!name || !email || !password) throw new HttpError(400, "Please fill in all fields.");
+      if (store.findUserByEmail(email)) throw new HttpError(409, "Email already registered.");
+      const user = store.createUser({ name, email, password });
+      return [201, { user, token: store.createSession(user.id) }];
+    }],
+    ["POST", /^\/api\/auth\/login$/, async (req) => {
+      const { email, password } = await readJson(req);
+      const row = email && password && store.findUserByEmail(email);
+      if (!row || !verifyPassword(password, row.salt, row.pass_hash)) throw new HttpError(401, "Invalid email or password.");
+      return [200, { user: store.publicUser(row), token: store.createSession(row.id) }];
+    }],
+    ["POST", /^\/api\/auth\/logout$/, async (req) => {
+      store.deleteSession(authUser(req).token);
+      return [204];
+    }],
+    ["POST", /^\/api\/auth\/logout-all$/, async (req) => {
+      store.deleteUserSessions(authUser(req).user.id);
+      return [204];
+    }],
+    ["GET", /^\/api\/tasks$/, async (req) => [200, store.listTasks(authUser(req).user.id)]],
+    ["POST", /^\/api\/tasks$/, async (req) => {
+      const { user } = authUser(req);
+      const task = await readJson(req);
+      if (!task.id || !task.title) throw new HttpError(400, "A task needs an id and a title.");
+      const current = store.getTask(user.id, task.id);
+      if (current) throw new HttpError(409, "Task already exists.", { current });
+      return [201, store.saveTask(user.id, task)];
+    }],
+    ["GET", /^\/api\/tasks\/([^/]+)$/, async (req, id) => {
+      const task = store.getTask(authUser(req).user.id, id);
+      if (!task) throw new HttpError(404, "Task not found.");
+      return [200, task];
+    }],
+    ["PUT", /^\/api\/tasks\/([^/]+)$/, async (req, id) => {
+      const { user } = authUser(req);
+      const task = await readJson(req);
+      const current = store.getTask(user.id, id);
+      if (!current) throw new HttpError(404, "Task not found.");
+      checkRevision(req, current);
+      return [200, store.saveTask(user.id, { ...task, id })];
+    }],
+    ["DELETE", /^\/api\/tasks\/([^/]+)$/, async (req, id) => {
+      const { user } = authUser(req);
+      const current = store.getTask(user.id, id);
+      if (!current) throw new HttpError(404, "Task not found.");
+      checkRevision(req, current);
+      store.deleteTask(user.id, id);
+      return [204];
+    }],
+  ];
+
+  return async (req, res) => {
+    // The Vite dev server and GitHub Pages build live on other origins.
+    res.setHeader("Access-Control-Allow-Origin", process.env.CORS_ORIGIN || "*");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, If-Match");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
+    if (req.method === "OPTIONS") return send(res, 204);
+
+    const { pathname } = new URL(req.url, "http://localhost");
+    try {
+      for (const [method, pattern, handler] of routes) {
+        const match = pathname.match(pattern);
+        if (match && method === req.method) {
+          const [status, data] = await handler(req, ...match.slice(1).map(decodeParam));
+          return send(res, status, data);
+        }
+      }
+      throw new HttpError(404, "Not found.");
+    } catch (err) {
+      if (!(err instanceof HttpError)) console.error(err);
+      if (err.status === 413) {
+        res.setHeader("Connection", "close");
+        res.on("finish", () => req.destroy());
+      }
+      send(res, err.status || 500, { error: err instanceof HttpError ? err.message : "Internal server error.", ...(err instanceof HttpError && err.data) });
+    }
+  };
+}
+
+// ─── Entry point ─────────────────────────────────────────────────────────────
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const store = createStore(await openDatabase(DB_FILE));
+  http.createServer(createApp(store)).listen(PORT, () => {
+    console.log(`TaskFlow API listening on http://localhost:${PORT} (db: ${DB_FILE})`);
+  });
+}
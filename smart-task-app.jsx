@@ -1,32 +1,1765 @@
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useMemo, useRef, Fragment } from "react";
+import { parseQuickAdd } from "./quickAdd.js";
 import { BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell } from "recharts";
 
-// ─── Simulated DB (localStorage-persisted) ───────────────────────────────────
-const DB = {
-  getUsers: () => JSON.parse(localStorage.getItem("stp_users") || "[]"),
-  saveUsers: (u) => localStorage.setItem("stp_users", JSON.stringify(u)),
-  getTasks: (uid) => JSON.parse(localStorage.getItem(`stp_tasks_${uid}`) || "[]"),
-  saveTasks: (uid, t) => localStorage.setItem(`stp_tasks_${uid}`, JSON.stringify(t)),
-  getSession: () => JSON.parse(localStorage.getItem("stp_session") || "null"),
-  saveSession: (s) => localStorage.setItem("stp_session", JSON.stringify(s)),
-  clearSession: () => localStorage.removeItem("stp_session"),
+// ─── Storage adapters ────────────────────────────────────────────────────────
+// Async key-value stores of JSON-serialisable values: { get, set, remove, keys }. DB below runs on any of them.
+const createIndexedDBStorage = (dbName = "taskflow") => {
+  const ready = new Promise((resolve, reject) => {
+    const req = indexedDB.open(dbName, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore("kv");
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  const run = async (mode, fn) => {
+    const db = await ready;
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction("kv", mode);
+      const req = fn(tx.objectStore("kv"));
+      tx.oncomplete = () => resolve(req ? req.result ?? null : null);
+      tx.onerror = () => reject(tx.error);
+    });
+  };
+  return {
+    name: "indexedDB",
+    ready,
+    get: (key) => run("readonly", store => store.get(key)),
+    set: (key, value) => run("readwrite", store => { store.put(value, key); }),
+    remove: (key) => run("readwrite", store => { store.delete(key); }),
+    keys: () => run("readonly", store => store.getAllKeys()),
+  };
+};
+
+const localStorageAdapter = {
+  name: "localStorage",
+  get: async (key) => JSON.parse(localStorage.getItem(key) || "null"),
+  set: async (key, value) => localStorage.setItem(key, JSON.stringify(value)),
+  remove: async (key) => localStorage.removeItem(key),
+  keys: async () => Object.keys(localStorage),
+};
+
+// Nothing touches the browser — handy for tests and throwaway sessions.
+const createMemoryStorage = (seed = {}) => {
+  const data = new Map(Object.entries(seed));
+  const copy = (v) => v === undefined ? null : JSON.parse(JSON.stringify(v));
+  return {
+    name: "memory",
+    get: async (key) => copy(data.get(key)),
+    set: async (key, value) => { data.set(key, copy(value)); },
+    remove: async (key) => { data.delete(key); },
+    keys: async () => [...data.keys()],
+  };
+};
+
+// One-time move of the legacy stp_* localStorage keys (stp_users, stp_tasks_${uid}, …) into the new store.
+const migrateFromLocalStorage = async (storage) => {
+  if (await storage.get("stp_migrated")) return;
+  const keys = Object.keys(localStorage).filter(k => k.startsWith("stp_"));
+  for (const key of keys) {
+    try { await storage.set(key, JSON.parse(localStorage.getItem(key))); } catch { /* unreadable legacy value */ }
+  }
+  await storage.set("stp_migrated", new Date().toISOString());
+  keys.forEach(k => localStorage.removeItem(k));
+};
+
+// VITE_STORAGE picks the adapter: "indexeddb" (default), "localstorage" (legacy) or "memory".
+const createStorage = async (kind = import.meta.env?.VITE_STORAGE || "indexeddb") => {
+  if (kind === "memory") return createMemoryStorage();
+  if (kind === "localstorage" || typeof indexedDB === "undefined") return localStorageAdapter;
+  try {
+    const storage = createIndexedDBStorage();
+    await storage.ready;
+    await migrateFromLocalStorage(storage);
+    return storage;
+  } catch (err) {
+    console.warn("IndexedDB unavailable, falling back to localStorage:", err);
+    return localStorageAdapter;
+  }
+};
+
+// ─── Schema & migrations ─────────────────────────────────────────────────────
+// Every stored task/user carries schemaVersion. To change the record shape, append a step here —
+// never edit one that has shipped. Steps run in order on anything older than their version.
+const SCHEMA_VERSION = 2;
+const PRIORITIES = ["high", "medium", "low"];
+// Board columns are configurable, but these two always exist: new and reopened tasks land in Backlog, completed ones in Done.
+const NEW_STATUS = "backlog";
+const DONE_STATUS = "done";
+
+// A date-only deadline ("2024-05-01", e.g. from a CSV cell) is due at the end of that local day. `new Date` would
+// read it as UTC midnight — the evening before, west of UTC.
+const localDeadline = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59` : toLocalInput(new Date(value));
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    // Baseline: seeded tasks had ISO or "" deadlines while TaskModal saved datetime-local strings,
+    // and fields added since (subtasks, tags, timers, …) were simply missing on older records.
+    task: (t) => ({
+      description: "", subtasks: [], tags: [], project: "", blockedBy: [], recurrence: null, timeEntries: [], pomodoros: [],
+      ...t,
+      id: String(t.id),
+      title: String(t.title || "Untitled task"),
+      priority: PRIORITIES.includes(t.priority) ? t.priority : "medium",
+      deadline: t.deadline && !isNaN(new Date(t.deadline)) ? localDeadline(t.deadline) : "",
+      estimatedTime: Math.max(0, Number(t.estimatedTime) || 0),
+      completed: !!t.completed,
+      completedAt: t.completed ? t.completedAt || null : null,
+      createdAt: t.createdAt || new Date().toISOString(),
+    }),
+    user: (u) => ({ ...u, id: String(u.id), name: u.name || u.email, createdAt: u.createdAt || new Date().toISOString() }),
+  },
+  {
+    version: 2,
+    // Kanban: a status column that agrees with `completed`, and a sort key within the column (creation time).
+    task: (t) => ({
+      ...t,
+      status: t.completed ? DONE_STATUS : t.status && t.status !== DONE_STATUS ? String(t.status) : NEW_STATUS,
+      order: Number.isFinite(t.order) ? t.order : new Date(t.createdAt).getTime() || 0,
+    }),
+  },
+];
+
+const upgradeRecord = (kind) => (record) => MIGRATIONS
+  .filter(m => m.version > (record.schemaVersion || 0))
+  .reduce((r, m) => ({ ...(m[kind] ? m[kind](r) : r), schemaVersion: m.version }), record);
+const upgradeTask = upgradeRecord("task");
+const upgradeUser = upgradeRecord("user");
+
+const validateTask = (t) => {
+  const errors = [];
+  if (typeof t.id !== "string" || !t.id) errors.push("id must be a non-empty string");
+  if (typeof t.title !== "string" || !t.title.trim()) errors.push("title is required");
+  if (!PRIORITIES.includes(t.priority)) errors.push(`unknown priority "${t.priority}"`);
+  if (t.deadline && isNaN(new Date(t.deadline))) errors.push("deadline is not a date");
+  if (typeof t.estimatedTime !== "number" || t.estimatedTime < 0) errors.push("estimatedTime must be a non-negative number");
+  if (typeof t.completed !== "boolean") errors.push("completed must be a boolean");
+  if (typeof t.status !== "string" || !t.status) errors.push("status is required");
+  if ((t.status === DONE_STATUS) !== t.completed) errors.push("status and completed disagree");
+  if (!Number.isFinite(t.order)) errors.push("order must be a number");
+  ["subtasks", "tags", "blockedBy", "timeEntries", "pomodoros"].forEach(key => {
+    if (!Array.isArray(t[key])) errors.push(`${key} must be an array`);
+  });
+  return errors;
+};
+
+const validateUser = (u) => {
+  const errors = [];
+  if (typeof u.id !== "string" || !u.id) errors.push("id must be a non-empty string");
+  if (typeof u.email !== "string" || !u.email.includes("@")) errors.push("email is invalid");
+  if (typeof u.name !== "string" || !u.name) errors.push("name is required");
+  return errors;
+};
+
+// Upgrades every stored user and task list once per schema bump. Records that still fail
+// validation are kept as they are and reported, never dropped.
+const runMigrations = async (storage) => {
+  if (((await storage.get("stp_schema_version")) || 0) >= SCHEMA_VERSION) return;
+  const check = (key, validate) => (r) => {
+    const errors = validate(r);
+    if (errors.length) console.warn(`Invalid record ${key}/${r.id}: ${errors.join(", ")}`);
+    return r;
+  };
+  for (const key of await storage.keys()) {
+    if (key === "stp_users") {
+      await storage.set(key, ((await storage.get(key)) || []).map(upgradeUser).map(check(key, validateUser)));
+    } else if (key.startsWith("stp_tasks_")) {
+      const stored = (await storage.get(key)) || [];
+      // Encrypted lists can't be read here; getTasks upgrades them after decrypting.
+      if (Array.isArray(stored)) await storage.set(key, stored.map(upgradeTask).map(check(key, validateTask)));
+    }
+  }
+  await storage.set("stp_schema_version", SCHEMA_VERSION);
+};
+
+// ─── Passwords & sessions ────────────────────────────────────────────────────
+// Users store { passHash, salt, iterations } from PBKDF2-SHA256; records from before that still hold
+// a plaintext `pass`, which login re-hashes and removes the first time it matches.
+const PBKDF2_ITERATIONS = 210000;
+const SESSION_TTL = 7 * 86400000; // sliding: renewed when the session is read
+// The session is read on every API call and poll; it's only rewritten (and the write broadcast to other tabs) once
+// its last renewal is this old.
+const SESSION_TOUCH_MS = 5 * 60000;
+
+const toHex = (buf) => [...new Uint8Array(buf)].map(b => b.toString(16).padStart(2, "0")).join("");
+const fromHex = (hex) => new Uint8Array(hex.match(/../g).map(h => parseInt(h, 16)));
+
+const hashPassword = async (password, salt = toHex(crypto.getRandomValues(new Uint8Array(16))), iterations = PBKDF2_ITERATIONS) => {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(password), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt: fromHex(salt), iterations }, key, 256);
+  return { passHash: toHex(bits), salt, iterations };
+};
+
+const verifyPassword = async (password, user) => {
+  const { passHash } = await hashPassword(password, user.salt, user.iterations);
+  let diff = passHash.length ^ user.passHash.length;
+  for (let i = 0; i < passHash.length; i++) diff |= passHash.charCodeAt(i) ^ (user.passHash.charCodeAt(i) || 0);
+  return diff === 0;
+};
+
+// What the app and the session get to see of a user — never the password material.
+const publicUser = ({ id, name, email, createdAt }) => ({ id, name, email, createdAt });
+
+const checkPassword = async (user, pass) => "pass" in user ? user.pass === pass : !!user.passHash && verifyPassword(pass, user);
+
+// ─── Encryption at rest ──────────────────────────────────────────────────────
+// Opt-in per user. Task lists are sealed with a random AES-GCM data key. That key is stored only wrapped
+// (AES-KW): once under a PBKDF2 key from the password and once under a recovery key the user exports.
+// Changing the password re-wraps the data key; the tasks themselves are not re-encrypted.
+const toBase64 = (buf) => { let bin = ""; new Uint8Array(buf).forEach(b => { bin += String.fromCharCode(b); }); return btoa(bin); };
+const fromBase64 = (b64) => Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+
+const Vault = {
+  deriveKek: async (password, salt) => {
+    const base = await crypto.subtle.importKey("raw", new TextEncoder().encode(password), "PBKDF2", false, ["deriveKey"]);
+    return crypto.subtle.deriveKey({ name: "PBKDF2", hash: "SHA-256", salt: fromHex(salt), iterations: PBKDF2_ITERATIONS },
+      base, { name: "AES-KW", length: 256 }, false, ["wrapKey", "unwrapKey"]);
+  },
+  recoveryKek: (recoveryKey) =>
+    crypto.subtle.importKey("raw", fromHex(recoveryKey.replace(/[^0-9a-f]/gi, "")), "AES-KW", false, ["wrapKey", "unwrapKey"]),
+  wrap: async (dek, kek) => toHex(await crypto.subtle.wrapKey("raw", dek, kek, "AES-KW")),
+  // Throws if the password / recovery key is wrong (AES-KW integrity check).
+  unwrap: (wrapped, kek) => crypto.subtle.unwrapKey("raw", fromHex(wrapped), kek, "AES-KW", "AES-GCM", true, ["encrypt", "decrypt"]),
+
+  // Returns the unlocked data key, the record to store, and the recovery key to show the user once.
+  setup: async (password) => {
+    const dek = await crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, true, ["encrypt", "decrypt"]);
+    const kekSalt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+    const recoveryKey = toHex(crypto.getRandomValues(new Uint8Array(32))).match(/.{8}/g).join("-");
+    const record = {
+      kekSalt,
+      wrapped: await Vault.wrap(dek, await Vault.deriveKek(password, kekSalt)),
+      recoveryWrapped: await Vault.wrap(dek, await Vault.recoveryKek(recoveryKey)),
+      createdAt: new Date().toISOString(),
+    };
+    return { dek, record, recoveryKey };
+  },
+  unlock: async (record, password) => Vault.unwrap(record.wrapped, await Vault.deriveKek(password, record.kekSalt)),
+  unlockWithRecovery: async (record, recoveryKey) => Vault.unwrap(record.recoveryWrapped, await Vault.recoveryKek(recoveryKey)),
+  rekey: async (record, dek, newPassword) => {
+    const kekSalt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+    return { ...record, kekSalt, wrapped: await Vault.wrap(dek, await Vault.deriveKek(newPassword, kekSalt)) };
+  },
+
+  encrypt: async (dek, value) => {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, dek, new TextEncoder().encode(JSON.stringify(value)));
+    return { encrypted: true, iv: toHex(iv), data: toBase64(data) };
+  },
+  decrypt: async (dek, envelope) => {
+    const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromHex(envelope.iv) }, dek, fromBase64(envelope.data));
+    return JSON.parse(new TextDecoder().decode(plain));
+  },
+};
+
+// ─── Cross-tab sync ──────────────────────────────────────────────────────────
+// Every write is announced to the app's other open tabs as { kind, id, shared } — e.g. { kind: "tasks", id: uid } —
+// and they reload what changed. BroadcastChannel where there is one; otherwise the storage event, which only fires
+// for the localStorage adapter.
+// Storage key → change: "stp_tasks_42" → { kind: "tasks", id: "42" }, "stp_wstasks_w1" → { kind: "tasks", id: "w1", shared: true }.
+const changeOfKey = (key) => {
+  const [, shared, kind, id = ""] = key.match(/^stp_(ws(?=tasks|comments|activity))?([a-z]+)(?:_(.+))?$/) || [];
+  return kind ? { kind, id, shared: !!shared } : null;
+};
+
+const createSync = () => {
+  const channel = typeof BroadcastChannel !== "undefined" ? new BroadcastChannel("taskflow-sync") : null;
+  const listeners = new Set();
+  const emit = (change) => listeners.forEach(fn => fn(change));
+  if (channel) channel.onmessage = (e) => emit(e.data);
+  else if (typeof window !== "undefined") window.addEventListener("storage", e => { const change = e.key && changeOfKey(e.key); if (change) emit(change); });
+  let queue = Promise.resolve();
+  return {
+    publish: (change) => channel?.postMessage(change),
+    subscribe: (fn) => {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    // Runs fn holding a lock every tab shares (Web Locks), so read-change-write cycles on one list can't interleave.
+    // Without Web Locks it's only serialised within this tab.
+    exclusive: (name, fn) => typeof navigator !== "undefined" && navigator.locks
+      ? navigator.locks.request(`taskflow:${name}`, fn)
+      : (queue = queue.catch(() => {}).then(fn)),
+  };
+};
+const Sync = createSync();
+
+// ─── Local DB ────────────────────────────────────────────────────────────────
+const DEFAULT_SETTINGS = {
+  pomodoro: { work: 25, shortBreak: 5, longBreak: 15, longEvery: 4 },
+  // Working hours and days; the calendar flags days whose open work exceeds them, the scheduler plans inside them.
+  workday: { start: 9, end: 17, days: [1, 2, 3, 4, 5] },
+  calendar: { view: "month" },
+  // wip: max cards in the column, 0 = no limit.
+  board: {
+    view: "list",
+    columns: [
+      { id: NEW_STATUS, name: "Backlog", wip: 0 },
+      { id: "progress", name: "In Progress", wip: 3 },
+      { id: "review", name: "Review", wip: 0 },
+      { id: DONE_STATUS, name: "Done", wip: 0 },
+    ],
+  },
+  // How much each weighted factor of the AI ranking counts (see SCORE_FACTORS).
+  weights: { priority: 0.4, urgency: 0.4, efficiency: 0.2 },
+  // Learn personal weights from which tasks get completed (AIEngine.fitWeights); the manual ones are the fallback.
+  adaptive: true,
+  // Deleted tasks wait in the Trash this many days before they're purged for good.
+  trashDays: 30,
+};
+
+// Saved settings may predate a key or a nested field — fill both in from the defaults.
+const withDefaults = (saved = {}) => Object.fromEntries(Object.entries({ ...DEFAULT_SETTINGS, ...saved }).map(([key, value]) => [key,
+  DEFAULT_SETTINGS[key] && !Array.isArray(value) && typeof value === "object" ? { ...DEFAULT_SETTINGS[key], ...value } : value]));
+
+// Team workspaces: { id, name, createdAt, members: [{ userId, role }] }, each with its own shared task list.
+// Owners manage members, editors change tasks, viewers only read.
+const ROLES = { owner: "Owner", editor: "Editor", viewer: "Viewer" };
+const ROLE_RANK = { viewer: 0, editor: 1, owner: 2 };
+const memberRole = (ws, uid) => ws?.members.find(m => m.userId === uid)?.role;
+const hasRole = (ws, uid, role) => ROLE_RANK[memberRole(ws, uid)] >= ROLE_RANK[role];
+
+const createLocalDB = (storagePromise) => {
+  const storage = storagePromise.then(async s => { await runMigrations(s); return s; });
+  const get = async (key, fallback) => (await (await storage).get(key)) ?? fallback;
+  const announce = (key) => {
+    const change = changeOfKey(key);
+    if (change) Sync.publish(change);
+  };
+  const set = async (key, value) => { await (await storage).set(key, value); announce(key); };
+  const remove = async (key) => { await (await storage).remove(key); announce(key); };
+  const dataKeys = {}; // uid → unlocked data key; memory only, dropped on sign-out
+  const locked = () => Object.assign(new Error("Your tasks are encrypted — sign in with your password to unlock them."), { locked: true });
+
+  const findUser = async (predicate) => {
+    const users = await db.getUsers();
+    return { users, user: users.find(predicate) };
+  };
+  const replaceUser = (users, user) => db.saveUsers(users.map(u => u.id === user.id ? user : u));
+
+  // Workspace calls check the caller's role the way a team server would, failing with a 403/404-style error.
+  const httpError = (status, message) => Object.assign(new Error(message), { status });
+  const ROLE_DENIED = {
+    viewer: "You're not a member of this workspace.",
+    editor: "Viewers can't change tasks in this workspace.",
+    owner: "Only the workspace owner can do that.",
+  };
+  const workspaceFor = async (wsId, uid, role = "viewer") => {
+    const all = await get("stp_workspaces", []);
+    const ws = all.find(w => w.id === wsId);
+    if (!ws) throw httpError(404, "Workspace not found.");
+    if (!hasRole(ws, uid, role)) throw httpError(403, ROLE_DENIED[role]);
+    return { all, ws };
+  };
+  const replaceWorkspace = (all, ws) => set("stp_workspaces", all.map(w => w.id === ws.id ? ws : w));
+
+  // Comments and the activity log go with their list: a workspace's shared copy (anyone in it comments, editors
+  // log changes), or the user's own — sealed like their tasks once encryption at rest is on. So are server mode's
+  // offline copies (personal only): the last task list the server sent and the writes still waiting to reach it.
+  const SIDE_KINDS = ["comments", "activity", "mirror", "outbox"];
+  const readSide = async (kind, uid, wsId) => {
+    if (wsId) {
+      await workspaceFor(wsId, uid);
+      return get(`stp_ws${kind}_${wsId}`, []);
+    }
+    const stored = await get(`stp_${kind}_${uid}`, []);
+    if (!stored.encrypted) return stored;
+    if (!dataKeys[uid]) throw locked();
+    return Vault.decrypt(dataKeys[uid], stored);
+  };
+  const writeSide = async (kind, uid, wsId, list) => {
+    if (wsId) {
+      await workspaceFor(wsId, uid, kind === "activity" ? "editor" : "viewer");
+      return set(`stp_ws${kind}_${wsId}`, list);
+    }
+    if (dataKeys[uid]) return set(`stp_${kind}_${uid}`, await Vault.encrypt(dataKeys[uid], list));
+    if (await db.getKeyRecord(uid)) throw locked();
+    return set(`stp_${kind}_${uid}`, list);
+  };
+  // Side updates read, change and write back the whole list; one at a time (across tabs too), so two quick saves
+  // can't drop an entry.
+  const queued = (fn) => Sync.exclusive("side", fn);
+
+  const db = {
+    mode: "local",
+    getUsers: () => get("stp_users", []),
+    saveUsers: (u) => set("stp_users", u.map(upgradeUser)),
+    getTasks: async (uid) => {
+      const stored = await get(`stp_tasks_${uid}`, []);
+      if (!stored.encrypted) return stored;
+      if (!dataKeys[uid]) throw locked();
+      return (await Vault.decrypt(dataKeys[uid], stored)).map(upgradeTask);
+    },
+    saveTasks: async (uid, t) => {
+      const list = t.map(upgradeTask);
+      if (dataKeys[uid]) return set(`stp_tasks_${uid}`, await Vault.encrypt(dataKeys[uid], list));
+      if (await db.getKeyRecord(uid)) throw locked(); // never write plaintext over an encrypted list
+      return set(`stp_tasks_${uid}`, list);
+    },
+    getKeyRecord: (uid) => get(`stp_keys_${uid}`, null),
+    getProjects: (uid) => get(`stp_projects_${uid}`, []),
+    saveProjects: (uid, p) => set(`stp_projects_${uid}`, p),
+    getSettings: async (uid) => withDefaults(await get(`stp_settings_${uid}`, {})),
+    saveSettings: (uid, s) => set(`stp_settings_${uid}`, s),
+    getEvents: (uid) => get(`stp_events_${uid}`, []),
+    saveEvents: (uid, e) => set(`stp_events_${uid}`, e),
+    getChoices: (uid) => get(`stp_choices_${uid}`, []),
+    saveChoices: (uid, c) => set(`stp_choices_${uid}`, c),
+    getFocus: (uid) => get(`stp_focus_${uid}`, null),
+    saveFocus: (uid, f) => f ? set(`stp_focus_${uid}`, f) : remove(`stp_focus_${uid}`),
+    // Returns null once the session has expired or was revoked by "sign out everywhere"; otherwise renews it.
+    getSession: async () => {
+      const session = await get("stp_session", null);
+      if (!session) return null;
+      const owner = (await db.getUsers()).find(u => u.id === session.id);
+      if (!session.expiresAt || session.expiresAt < Date.now() || session.issuedAt < (owner?.sessionsValidAfter || 0)) {
+        await db.clearSession();
+        return null;
+      }
+      if (Date.now() + SESSION_TTL - session.expiresAt <= SESSION_TOUCH_MS) return session;
+      const renewed = { ...session, expiresAt: Date.now() + SESSION_TTL };
+      await set("stp_session", renewed);
+      return renewed;
+    },
+    saveSession: (user) => set("stp_session", { ...user, issuedAt: Date.now(), expiresAt: Date.now() + SESSION_TTL }),
+    clearSession: () => {
+      Object.keys(dataKeys).forEach(uid => delete dataKeys[uid]);
+      return remove("stp_session");
+    },
+    logoutEverywhere: async (uid) => {
+      const users = await db.getUsers();
+      await db.saveUsers(users.map(u => u.id === uid ? { ...u, sessionsValidAfter: Date.now() } : u));
+      await db.clearSession();
+    },
+    register: async ({ name, email, pass }) => {
+      const users = await db.getUsers();
+      if (users.find(u => u.email === email)) throw new Error("Email already registered.");
+      const user = { id: Date.now().toString(), name, email, ...(await hashPassword(pass)), createdAt: new Date().toISOString() };
+      await db.saveUsers([...users, user]);
+      return publicUser(user);
+    },
+    login: async (email, pass) => {
+      const { users, user } = await findUser(u => u.email === email);
+      if (!user || !(await checkPassword(user, pass))) throw new Error("Invalid email or password.");
+      if ("pass" in user) {
+        // Legacy plaintext record: replace it with a hash now that we know the password.
+        const { pass: _plaintext, ...rest } = user;
+        await replaceUser(users, { ...rest, ...(await hashPassword(pass)) });
+      }
+      const record = await db.getKeyRecord(user.id);
+      if (record) dataKeys[user.id] = await Vault.unlock(record, pass);
+      return publicUser(user);
+    },
+    changePassword: async (uid, current, next) => {
+      const { users, user } = await findUser(u => u.id === uid);
+      if (!user || !(await checkPassword(user, current))) throw new Error("Current password is incorrect.");
+      const { pass: _plaintext, ...rest } = user;
+      const record = await db.getKeyRecord(uid);
+      if (record) {
+        const dek = dataKeys[uid] || await Vault.unlock(record, current);
+        await set(`stp_keys_${uid}`, await Vault.rekey(record, dek, next));
+      }
+      await replaceUser(users, { ...rest, ...(await hashPassword(next)) });
+    },
+
+    // Encryption is opt-in; the returned recovery key is the only way back in without the password.
+    enableEncryption: async (uid, pass) => {
+      const { user } = await findUser(u => u.id === uid);
+      if (!user || !(await checkPassword(user, pass))) throw new Error("Password is incorrect.");
+      if (await db.getKeyRecord(uid)) throw new Error("Encryption is already on.");
+      const tasks = await db.getTasks(uid);
+      const side = await Promise.all(SIDE_KINDS.map(kind => readSide(kind, uid)));
+      const { dek, record, recoveryKey } = await Vault.setup(pass);
+      await set(`stp_keys_${uid}`, record);
+      dataKeys[uid] = dek;
+      await db.saveTasks(uid, tasks);
+      await Promise.all(SIDE_KINDS.map((kind, i) => writeSide(kind, uid, "", side[i])));
+      return recoveryKey;
+    },
+    disableEncryption: async (uid, pass) => {
+      const { user } = await findUser(u => u.id === uid);
+      if (!user || !(await checkPassword(user, pass))) throw new Error("Password is incorrect.");
+      const tasks = await db.getTasks(uid);
+      const side = await Promise.all(SIDE_KINDS.map(kind => readSide(kind, uid)));
+      delete dataKeys[uid];
+      await remove(`stp_keys_${uid}`);
+      await db.saveTasks(uid, tasks);
+      await Promise.all(SIDE_KINDS.map((kind, i) => writeSide(kind, uid, "", side[i])));
+    },
+    // Forgotten password: the recovery key unwraps the data key, which is then re-wrapped under the new password.
+    recoverAccount: async (email, recoveryKey, next) => {
+      const { users, user } = await findUser(u => u.email === email);
+      const record = user && await db.getKeyRecord(user.id);
+      if (!record) throw new Error("No encrypted account with that email.");
+      const dek = await Vault.unlockWithRecovery(record, recoveryKey).catch(() => { throw new Error("That recovery key doesn't match."); });
+      await set(`stp_keys_${user.id}`, await Vault.rekey(record, dek, next));
+      const { pass: _plaintext, ...rest } = user;
+      await replaceUser(users, { ...rest, ...(await hashPassword(next)) });
+      dataKeys[user.id] = dek;
+      return publicUser(user);
+    },
+
+    // ── Team workspaces — the local stand-in for a team server. Any account registered in this browser can be
+    // invited; shared lists live in the same store and aren't covered by encryption at rest.
+    getWorkspaces: async (uid) => {
+      const users = await db.getUsers();
+      return (await get("stp_workspaces", [])).filter(ws => memberRole(ws, uid)).map(ws => ({
+        ...ws,
+        members: ws.members.map(m => {
+          const u = users.find(x => x.id === m.userId);
+          return { ...m, name: u?.name || "Unknown", email: u?.email || "" };
+        }),
+      }));
+    },
+    createWorkspace: async (uid, name) => {
+      if (!name.trim()) throw new Error("Give the workspace a name.");
+      const ws = { id: `w${Date.now()}`, name: name.trim(), createdAt: new Date().toISOString(), members: [{ userId: uid, role: "owner" }] };
+      await set("stp_workspaces", [...(await get("stp_workspaces", [])), ws]);
+      return ws;
+    },
+    deleteWorkspace: async (wsId, uid) => {
+      const { all } = await workspaceFor(wsId, uid, "owner");
+      await set("stp_workspaces", all.filter(w => w.id !== wsId));
+      await Promise.all(["tasks", ...SIDE_KINDS].map(kind => remove(`stp_ws${kind}_${wsId}`)));
+    },
+    addMember: async (wsId, uid, email, role) => {
+      const { all, ws } = await workspaceFor(wsId, uid, "owner");
+      const { user } = await findUser(u => u.email === email.trim());
+      if (!user) throw new Error("No account with that email — they need to register first.");
+      if (memberRole(ws, user.id)) throw new Error(`${user.name} is already a member.`);
+      if (role === "owner") throw httpError(403, "A workspace has one owner.");
+      await replaceWorkspace(all, { ...ws, members: [...ws.members, { userId: user.id, role }] });
+    },
+    setMemberRole: async (wsId, uid, memberId, role) => {
+      const { all, ws } = await workspaceFor(wsId, uid, "owner");
+      if (role === "owner" || memberRole(ws, memberId) === "owner") throw httpError(403, "A workspace has one owner.");
+      await replaceWorkspace(all, { ...ws, members: ws.members.map(m => m.userId === memberId ? { ...m, role } : m) });
+    },
+    // Owners remove other members; anyone else can only remove themselves (leave). Their tasks become unassigned.
+    removeMember: async (wsId, uid, memberId) => {
+      const { all, ws } = await workspaceFor(wsId, uid, memberId === uid ? "viewer" : "owner");
+      if (memberRole(ws, memberId) === "owner") throw httpError(403, "The owner can't leave — delete the workspace instead.");
+      const tasks = await get(`stp_wstasks_${wsId}`, []);
+      await set(`stp_wstasks_${wsId}`, tasks.map(t => t.assignee === memberId ? { ...t, assignee: "" } : t));
+      await replaceWorkspace(all, { ...ws, members: ws.members.filter(m => m.userId !== memberId) });
+    },
+    getWorkspaceTasks: async (wsId, uid) => {
+      await workspaceFor(wsId, uid);
+      return (await get(`stp_wstasks_${wsId}`, [])).map(upgradeTask);
+    },
+    saveWorkspaceTasks: async (wsId, uid, list) => {
+      await workspaceFor(wsId, uid, "editor");
+      return set(`stp_wstasks_${wsId}`, list.map(upgradeTask));
+    },
+    // Per-task writes against whatever is stored now (wsId "" = the personal list); see applyTaskChanges.
+    // Tabs take turns, so two of them can't both read the old list and overwrite each other.
+    updateTasks: (uid, wsId, changes) => Sync.exclusive(`tasks:${wsId || uid}`, async () => {
+      const { list, conflicts, merged } = applyTaskChanges(wsId ? await db.getWorkspaceTasks(wsId, uid) : await db.getTasks(uid), changes);
+      await (wsId ? db.saveWorkspaceTasks(wsId, uid, list) : db.saveTasks(uid, list));
+      return { conflicts, merged };
+    }),
+
+    // ── Server mode's offline copies (see createServerDB)
+    getMirror: (uid) => readSide("mirror", uid, ""),
+    saveMirror: (uid, list) => writeSide("mirror", uid, "", list),
+    getOutbox: (uid) => readSide("outbox", uid, ""),
+    saveOutbox: (uid, list) => writeSide("outbox", uid, "", list),
+
+    // ── Comments & activity (wsId "" = the personal list)
+    getComments: (uid, wsId) => readSide("comments", uid, wsId),
+    addComment: (uid, wsId, comment) => queued(async () => {
+      const list = [...await readSide("comments", uid, wsId), comment];
+      await writeSide("comments", uid, wsId, list);
+      return list;
+    }),
+    // Authors delete their own comments. What's left is a stub, so replies keep their place in the thread.
+    deleteComment: (uid, wsId, id) => queued(async () => {
+      const all = await readSide("comments", uid, wsId);
+      const comment = all.find(c => c.id === id);
+      if (!comment) throw httpError(404, "Comment not found.");
+      if (comment.by !== uid) throw httpError(403, "You can only delete your own comments.");
+      const list = all.map(c => c.id === id ? { ...c, body: "", mentions: [], deleted: true } : c);
+      await writeSide("comments", uid, wsId, list);
+      return list;
+    }),
+    getActivity: (uid, wsId) => readSide("activity", uid, wsId),
+    // The only write the log has: there's deliberately no way to edit or drop an entry.
+    appendActivity: (uid, wsId, entries) => queued(async () => writeSide("activity", uid, wsId, [...await readSide("activity", uid, wsId), ...entries])),
+  };
+  return db;
+};
+
+const LocalDB = createLocalDB(createStorage());
+
+// ─── Server DB (REST API + SQLite, see server/) ──────────────────────────────
+// Set VITE_API_URL (e.g. http://localhost:3001) to switch the app to server mode.
+const API_URL = import.meta.env?.VITE_API_URL;
+
+const api = async (path, { method = "GET", body, headers } = {}) => {
+  const token = (await LocalDB.getSession())?.token;
+  // fetch only rejects when the server can't be reached at all (offline, DNS, CORS); task writes then wait in the outbox.
+  const res = await fetch(`${API_URL}/api${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...(token && { Authorization: `Bearer ${token}` }), ...headers },
+    body: body && JSON.stringify(body),
+  }).catch(() => { throw Object.assign(new Error("Can't reach the server."), { offline: true }); });
+  const data = res.status === 204 ? null : await res.json();
+  if (!res.ok) throw Object.assign(new Error(data?.error || `Request failed (${res.status})`), { status: res.status, data });
+  return data;
+};
+
+// Same interface as LocalDB, minus its whole-list saveTasks: tasks only reach the server one at a time, through
+// updateTasks.
+// Personal task writes (updateTasks) go through an outbox kept in the browser: one entry per task, { id, task, base },
+// task null = delete, base = the server's version it was based on. What can't be sent stays queued and is replayed
+// when the connection is back (or on the next start). Meanwhile the last list the server sent (the mirror) with the
+// outbox laid over it stands in for the server's.
+const OUTBOX_SYNC_TAG = "taskflow-outbox"; // Background Sync tag, see sw.js
+
+const createServerDB = () => {
+  const { saveTasks, ...local } = LocalDB;
+  const signIn = ({ user, token }) => ({ ...user, token });
+  const overlay = (list, entries) => {
+    const byId = new Map(list.map(t => [t.id, t]));
+    entries.forEach(({ id, task }) => task ? byId.set(id, task) : byId.delete(id));
+    return [...byId.values()];
+  };
+  // A task written again while still queued keeps the first entry's base: that's the version the server knows.
+  const enqueue = (outbox, { put = [], remove = [] }) => {
+    const byId = new Map(outbox.map(e => [e.id, e]));
+    [...put.map(({ task, base }) => ({ id: task.id, task, base })), ...remove.map(({ id, base }) => ({ id, task: null, base }))].forEach(entry => {
+      const base = byId.has(entry.id) ? byId.get(entry.id).base : entry.base;
+      if (!entry.task && !base) byId.delete(entry.id); // created and deleted before the server ever saw it
+      else byId.set(entry.id, { ...entry, base });
+    });
+    return [...byId.values()];
+  };
+
+  // Sends the outbox, one request per task: If-Match names the base revision, and a 409 hands back the server's
+  // copy to merge with (then the merge is sent on, based on that copy). Call with the outbox lock held.
+  const flush = async (uid) => {
+    const outbox = await LocalDB.getOutbox(uid);
+    const conflicts = [];
+    let merged = false;
+    if (!outbox.length || navigator.onLine === false) return { conflicts, merged, pending: outbox.map(e => e.id) };
+    const path = (id) => `/tasks/${encodeURIComponent(id)}`;
+    const ifMatch = (base) => ({ "If-Match": `"${base.rev || 0}"` });
+    const sent = [];
+    const send = async (task, base) => {
+      try {
+        await (base
+          ? api(path(task.id), { method: "PUT", body: upgradeTask(task), headers: ifMatch(base) })
+          : api("/tasks", { method: "POST", body: upgradeTask(task) }));
+        sent.push({ id: task.id, task });
+      } catch (err) {
+        if (err.status !== 409 && err.status !== 404) throw err;
+        const theirs = err.data?.current || null;
+        if (!theirs) return conflicts.push({ id: task.id, ours: task, theirs: null });
+        const result = mergeTask(base, task, theirs);
+        if (result.conflicts.length) return conflicts.push({ id: task.id, ours: task, theirs, merged: result.task, fields: result.conflicts });
+        merged = true;
+        return send({ ...result.task, rev: (theirs.rev || 0) + 1, updatedAt: task.updatedAt }, theirs);
+      }
+    };
+    const destroy = (id, base) => api(path(id), { method: "DELETE", headers: ifMatch(base) }).then(() => sent.push({ id, task: null }), err => {
+      if (err.status === 409) conflicts.push({ id, ours: null, theirs: err.data.current });
+      else if (err.status !== 404) throw err;
+    });
+    // Unreachable or failing server, or an expired session: keep the entry for next time. Anything else (e.g. a
+    // rejected task) won't go through on a retry either, so it's dropped and reported.
+    const failed = new Set();
+    let error = null;
+    await Promise.all(outbox.map(entry => (entry.task ? send(entry.task, entry.base) : destroy(entry.id, entry.base)).catch(err => {
+      if (err.offline || err.status === 401 || err.status >= 500) failed.add(entry);
+      else error = error || err;
+    })));
+    const pending = outbox.filter(e => failed.has(e));
+    await LocalDB.saveOutbox(uid, pending);
+    if (sent.length) {
+      await LocalDB.saveMirror(uid, overlay(await LocalDB.getMirror(uid), sent));
+      Sync.publish({ kind: "tasks", id: uid });
+    }
+    if (pending.length) navigator.serviceWorker?.ready.then(reg => reg.sync?.register(OUTBOX_SYNC_TAG)).catch(() => {});
+    if (error) throw error;
+    return { conflicts, merged, pending: pending.map(e => e.id) };
+  };
+
+  return {
+    ...local,
+    mode: "server",
+    register: async ({ name, email, pass }) => signIn(await api("/auth/register", { method: "POST", body: { name, email, password: pass } })),
+    login: async (email, pass) => signIn(await api("/auth/login", { method: "POST", body: { email, password: pass } })),
+    clearSession: async () => {
+      await api("/auth/logout", { method: "POST" }).catch(() => {});
+      return LocalDB.clearSession();
+    },
+    logoutEverywhere: async () => {
+      await api("/auth/logout-all", { method: "POST" });
+      return LocalDB.clearSession();
+    },
+    getTasks: async (uid) => {
+      let list;
+      try {
+        list = (await api("/tasks")).map(upgradeTask);
+        await LocalDB.saveMirror(uid, list);
+      } catch (err) {
+        if (!err.offline) throw err;
+        list = await LocalDB.getMirror(uid);
+      }
+      return overlay(list, await LocalDB.getOutbox(uid));
+    },
+    // Workspaces are browser-only for now, so their lists stay with LocalDB.
+    updateTasks: (uid, wsId, changes) => wsId ? LocalDB.updateTasks(uid, wsId, changes) : Sync.exclusive(`outbox:${uid}`, async () => {
+      await LocalDB.saveOutbox(uid, enqueue(await LocalDB.getOutbox(uid), changes));
+      return flush(uid);
+    }),
+    flushOutbox: (uid) => Sync.exclusive(`outbox:${uid}`, () => flush(uid)),
+  };
+};
+
+const DB = API_URL ? createServerDB() : LocalDB;
+
+// ─── Recurrence (RRULE-style) ────────────────────────────────────────────────
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const ORDINALS = { 1: "1st", 2: "2nd", 3: "3rd", 4: "4th", [-1]: "last" };
+const ICAL_DAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const pad2 = (n) => String(n).padStart(2, "0");
+// Same shape as a datetime-local input value, so generated deadlines stay editable in TaskModal.
+const toLocalInput = (d) => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}T${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+
+const Recurrence = {
+  // rule: { freq: "daily"|"weekly"|"monthly", interval, byDay: [0-6], monthlyBy: "date"|"nth", until: "YYYY-MM-DD", count }
+  // Pins monthDay / byDay / setPos from the anchor deadline so later instances don't drift (31st → 28th → 28th).
+  normalize: (rule, deadline) => {
+    if (!rule || !rule.freq || !deadline) return null;
+    const d = new Date(deadline);
+    const r = { interval: 1, byDay: [], monthlyBy: "date", until: "", count: 0, ...rule };
+    r.interval = Math.max(1, Number(r.interval) || 1);
+    r.count = Math.max(0, Number(r.count) || 0);
+    if (r.freq === "weekly" && r.byDay.length === 0) r.byDay = [d.getDay()];
+    if (r.freq === "monthly") {
+      const nth = Math.ceil(d.getDate() / 7);
+      r.monthDay = d.getDate();
+      r.byDay = [d.getDay()];
+      r.setPos = nth === 5 ? -1 : nth;
+    }
+    return r;
+  },
+  nextDate: (rule, prev) => {
+    const p = new Date(prev);
+    const n = new Date(p);
+    if (rule.freq === "daily") {
+      n.setDate(p.getDate() + rule.interval);
+    } else if (rule.freq === "weekly") {
+      const weekStart = (x) => { const s = new Date(x); s.setHours(0, 0, 0, 0); s.setDate(s.getDate() - s.getDay()); return s; };
+      const base = weekStart(p);
+      do n.setDate(n.getDate() + 1);
+      while (!rule.byDay.includes(n.getDay()) || Math.round((weekStart(n) - base) / 604800000) % rule.interval !== 0);
+    } else if (rule.freq === "monthly") {
+      n.setDate(1);
+      n.setMonth(p.getMonth() + rule.interval);
+      const lastDay = new Date(n.getFullYear(), n.getMonth() + 1, 0).getDate();
+      if (rule.monthlyBy === "nth") {
+        const first = ((rule.byDay[0] - n.getDay() + 7) % 7) + 1;
+        n.setDate(rule.setPos === -1 ? first + 7 * Math.floor((lastDay - first) / 7) : first + 7 * (rule.setPos - 1));
+      } else {
+        n.setDate(Math.min(rule.monthDay, lastDay));
+      }
+    }
+    return n;
+  },
+  // Completed instances stay in the list as history; the next one is a brand-new task of the same series.
+  nextInstance: (task, tasks) => {
+    const rule = task.recurrence;
+    if (!rule || !task.deadline) return null;
+    const seriesId = task.seriesId || task.id;
+    const occurrence = task.occurrence || 1;
+    if (tasks.some(t => (t.seriesId || t.id) === seriesId && (t.occurrence || 1) > occurrence)) return null;
+    if (rule.count && occurrence >= rule.count) return null;
+    const next = Recurrence.nextDate(rule, task.deadline);
+    if (rule.until && next > new Date(`${rule.until}T23:59:59`)) return null;
+    return {
+      ...task, id: Date.now().toString(), seriesId, occurrence: occurrence + 1, deadline: toLocalInput(next),
+      completed: false, completedAt: null, createdAt: new Date().toISOString(),
+      ...(task.subtasks && { subtasks: task.subtasks.map(s => ({ ...s, done: false })) }),
+      timeEntries: [], pomodoros: [], status: NEW_STATUS, order: Date.now(),
+    };
+  },
+  describe: (rule) => {
+    if (!rule) return "";
+    const every = (unit) => rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `${unit === "day" ? "Daily" : unit === "week" ? "Weekly" : "Monthly"}`;
+    let text = "";
+    if (rule.freq === "daily") text = every("day");
+    if (rule.freq === "weekly") text = `${every("week")} on ${rule.byDay.map(d => WEEKDAYS[d]).join(", ")}`;
+    if (rule.freq === "monthly") text = rule.monthlyBy === "nth"
+      ? `${every("month")} on the ${ORDINALS[rule.setPos]} ${WEEKDAYS[rule.byDay[0]]}`
+      : `${every("month")} on day ${rule.monthDay}`;
+    if (rule.count) text += `, ${rule.count}×`;
+    else if (rule.until) text += `, until ${new Date(`${rule.until}T00:00`).toLocaleDateString()}`;
+    return text;
+  },
+  // iCalendar RRULE round-trip, for .ics export/import. Rules this app can't express come back as null.
+  toRRULE: (rule) => {
+    const codes = rule.byDay.map(d => ICAL_DAYS[d]);
+    const parts = [`FREQ=${rule.freq.toUpperCase()}`, `INTERVAL=${rule.interval}`];
+    if (rule.freq === "weekly") parts.push(`BYDAY=${codes.join(",")}`);
+    if (rule.freq === "monthly") parts.push(rule.monthlyBy === "nth" ? `BYDAY=${rule.setPos}${codes[0]}` : `BYMONTHDAY=${rule.monthDay}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    else if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, "")}`);
+    return parts.join(";");
+  },
+  fromRRULE: (text, deadline) => {
+    const p = Object.fromEntries(text.split(";").map(kv => kv.split("=")));
+    const freq = (p.FREQ || "").toLowerCase();
+    if (!["daily", "weekly", "monthly"].includes(freq)) return null;
+    const byDay = (p.BYDAY || "").split(",").filter(Boolean);
+    const until = p.UNTIL ? `${p.UNTIL.slice(0, 4)}-${p.UNTIL.slice(4, 6)}-${p.UNTIL.slice(6, 8)}` : "";
+    return Recurrence.normalize({
+      freq, interval: p.INTERVAL, count: p.COUNT, until,
+      byDay: freq === "weekly" ? byDay.map(c => ICAL_DAYS.indexOf(c)).filter(d => d >= 0) : [],
+      monthlyBy: freq === "monthly" && /^-?\d/.test(byDay[0] || "") ? "nth" : "date",
+    }, deadline);
+  },
+};
+
+// ─── Subtasks ────────────────────────────────────────────────────────────────
+// subtasks: [{ id, title, done, estimatedTime }] — checklist steps inside a task.
+const taskProgress = (t) => {
+  if (t.completed) return 1;
+  const subs = t.subtasks || [];
+  return subs.length ? subs.filter(s => s.done).length / subs.length : 0;
+};
+
+// Hours still left: the open subtasks' estimates once any step is estimated, else the task's own estimate.
+const remainingTime = (t) => {
+  const subs = t.subtasks || [];
+  if (!subs.some(s => s.estimatedTime > 0)) return t.estimatedTime;
+  return subs.filter(s => !s.done).reduce((sum, s) => sum + (s.estimatedTime || 0), 0);
+};
+
+// ─── Time tracking ───────────────────────────────────────────────────────────
+// timeEntries: [{ id, start, end }] — ISO timestamps; the entry with end: null is the running timer.
+const runningEntry = (t) => (t.timeEntries || []).find(e => !e.end);
+const trackedHours = (t, now = Date.now()) =>
+  (t.timeEntries || []).reduce((sum, e) => sum + ((e.end ? new Date(e.end) : now) - new Date(e.start)) / 3600000, 0);
+const stopTimer = (t, at) => runningEntry(t) ? { ...t, timeEntries: t.timeEntries.map(e => e.end ? e : { ...e, end: at }) } : t;
+// One timer at a time: starting a task's timer stops whichever other one is running.
+const toggleTimer = (tasks, id, now = new Date().toISOString()) => {
+  const wasRunning = runningEntry(tasks.find(t => t.id === id));
+  return tasks.map(t => {
+    const stopped = stopTimer(t, now);
+    if (t.id !== id || wasRunning) return stopped;
+    return { ...stopped, timeEntries: [...(stopped.timeEntries || []), { id: Date.now().toString(), start: now, end: null }] };
+  });
+};
+const formatDuration = (hours) => {
+  const secs = Math.max(0, Math.floor(hours * 3600));
+  return `${Math.floor(secs / 3600)}:${pad2(Math.floor(secs / 60) % 60)}:${pad2(secs % 60)}`;
+};
+
+// ─── Dependencies ────────────────────────────────────────────────────────────
+// blockedBy: [taskId] — a task can't start until every listed task is completed.
+const openBlockers = (t, tasks) => (t.blockedBy || []).map(id => tasks.find(x => x.id === id)).filter(b => b && !b.completed);
+
+// Follows blockedBy links from the proposed blockers; returns the looping path of ids if one leads back to `id`.
+const findCycle = (tasks, id, blockedBy) => {
+  const byId = Object.fromEntries(tasks.map(t => [t.id, t]));
+  const seen = new Set();
+  const walk = (x, path) => {
+    if (x === id) return path;
+    if (seen.has(x)) return null;
+    seen.add(x);
+    for (const d of byId[x]?.blockedBy || []) {
+      const found = walk(d, [...path, d]);
+      if (found) return found;
+    }
+    return null;
+  };
+  for (const d of blockedBy) {
+    const found = walk(d, [id, d]);
+    if (found) return found;
+  }
+  return null;
+};
+
+// How many tasks in the list are waiting on `id`, directly or through a chain.
+const dependentsCount = (id, tasks) => {
+  const seen = new Set();
+  const stack = [id];
+  while (stack.length) {
+    const x = stack.pop();
+    tasks.forEach(t => {
+      if (!seen.has(t.id) && (t.blockedBy || []).includes(x)) { seen.add(t.id); stack.push(t.id); }
+    });
+  }
+  return seen.size;
+};
+
+// ─── Projects & tags ─────────────────────────────────────────────────────────
+// project: projectId (projects are stored per user with a name + colour); tags: free-form strings.
+const LABEL_COLORS = ["#7c6af7", "#43e8d8", "#f7436a", "#f59e0b", "#10b981", "#3b82f6", "#ec4899", "#a3e635"];
+const tagColor = (name) => LABEL_COLORS[[...name].reduce((h, c) => (h * 31 + c.charCodeAt(0)) >>> 0, 0) % LABEL_COLORS.length];
+const allTags = (tasks) => [...new Set(tasks.flatMap(t => t.tags || []))].sort();
+const inScope = (t, scope) => (!scope.project || (t.project || "") === scope.project) && (!scope.tag || (t.tags || []).includes(scope.tag));
+
+// ─── Task mutations ──────────────────────────────────────────────────────────
+// Flips completion, stopping the task's timer; completing a recurring instance also appends the next one
+// (the completed instance is kept as history).
+const toggleCompletion = (tasks, id) => {
+  const task = tasks.find(t => t.id === id);
+  const now = new Date().toISOString();
+  const list = tasks.map(t => t.id === id
+    ? { ...stopTimer(t, now), completed: !t.completed, completedAt: !t.completed ? now : null, status: !t.completed ? DONE_STATUS : NEW_STATUS, order: Date.now() }
+    : t);
+  const next = !task.completed && Recurrence.nextInstance(task, tasks);
+  return next ? [...list, next] : list;
+};
+
+// Deleting only stamps deletedAt: the task sits in the Trash, hidden from every page, until it's restored or purged.
+const trashTask = (t, by, at = new Date().toISOString()) => ({ ...stopTimer(t, at), deletedAt: at, deletedBy: by });
+const restoreTask = ({ deletedAt: _at, deletedBy: _by, ...t }) => t;
+const purgeDue = (t, days, now = Date.now()) => now - new Date(t.deletedAt) >= days * 86400000;
+
+const byOrder = (a, b) => a.order - b.order;
+// Board drag & drop: drops the task into `status` before `beforeId` (or at the bottom) and renumbers that column.
+// Crossing into or out of Done goes through toggleCompletion, so completedAt, timers and recurrence work as with the checkbox.
+const moveTask = (tasks, id, status, beforeId = null) => {
+  const task = tasks.find(t => t.id === id);
+  const list = (status === DONE_STATUS) !== task.completed ? toggleCompletion(tasks, id) : tasks;
+  const column = list.filter(t => t.id !== id && t.status === status).sort(byOrder);
+  const at = beforeId ? column.findIndex(t => t.id === beforeId) : -1;
+  column.splice(at < 0 ? column.length : at, 0, { id });
+  const orders = new Map(column.map((t, i) => [t.id, i]));
+  return list.map(t => t.id === id ? { ...t, status, order: orders.get(id) }
+    : orders.has(t.id) && t.order !== orders.get(t.id) ? { ...t, order: orders.get(t.id) } : t);
+};
+
+// ─── Comments & activity ─────────────────────────────────────────────────────
+// comments: [{ id, taskId, parentId, by, byName, at, body, mentions: [userId], deleted }] — a reply points at its parent.
+// activity: [{ id, taskId, title, action, by, byName, at, changes: [{ field, from, to }] }] — append-only: entries are
+// written once and never edited or removed, so the log outlives the task it describes.
+const ACTIVITY_FIELDS = {
+  title: "Title", description: "Description", priority: "Priority", deadline: "Deadline", estimatedTime: "Estimate",
+  status: "Status", completed: "Completed", project: "Project", tags: "Tags", assignee: "Assignee",
+  recurrence: "Repeat", subtasks: "Subtasks", blockedBy: "Blocked by",
+};
+// Unset, "", false and [] all read as "none", so filling in a default isn't logged as a change.
+const blankToNull = (v) => v === undefined || v === "" || v === false || (Array.isArray(v) && v.length === 0) ? null : v;
+
+// Compares two versions of the list and returns one entry per created, changed, completed/reopened, trashed/restored
+// or purged task.
+// Timer entries, pomodoros and ordering aren't in ACTIVITY_FIELDS — they change too often to be worth a line.
+const taskActivity = (before, after, { by, byName }, at = new Date().toISOString()) => {
+  const prev = new Map(before.map(t => [t.id, t]));
+  const ids = new Set(after.map(t => t.id));
+  const entry = (t, action, changes = []) => Object.freeze({ id: `${Date.parse(at)}-${t.id}`, taskId: t.id, title: t.title, action, by, byName, at, changes });
+  const entries = [];
+  after.forEach(t => {
+    const old = prev.get(t.id);
+    if (!old) return entries.push(entry(t, "created"));
+    if (old === t) return;
+    if (!old.deletedAt !== !t.deletedAt) return entries.push(entry(t, t.deletedAt ? "deleted" : "restored"));
+    const changes = Object.keys(ACTIVITY_FIELDS)
+      .map(field => ({ field, from: blankToNull(old[field]) ?? null, to: blankToNull(t[field]) ?? null }))
+      .filter(c => JSON.stringify(c.from) !== JSON.stringify(c.to));
+    if (!changes.length) return;
+    const done = changes.find(c => c.field === "completed");
+    entries.push(entry(t, done ? (t.completed ? "completed" : "reopened") : "updated", changes));
+  });
+  before.forEach(t => { if (!ids.has(t.id)) entries.push(entry(t, "purged")); });
+  return entries;
+};
+
+// @mentions use the part of a member's email before the "@" — unique enough in a team and free of spaces.
+const mentionHandle = (m) => m.email.split("@")[0].toLowerCase();
+const MENTION = /(?<![\w@])@([\w.-]*\w)/g;
+const findMentions = (body, members) => {
+  const handles = new Set([...body.matchAll(MENTION)].map(m => m[1].toLowerCase()));
+  return (members || []).filter(m => handles.has(mentionHandle(m))).map(m => m.userId);
+};
+const timeAgo = (iso, now = Date.now()) => {
+  const mins = Math.round((now - new Date(iso)) / 60000);
+  if (mins < 1) return "just now";
+  if (mins < 60) return `${mins}m ago`;
+  if (mins < 1440) return `${Math.round(mins / 60)}h ago`;
+  if (mins < 10080) return `${Math.round(mins / 1440)}d ago`;
+  return new Date(iso).toLocaleDateString();
+};
+
+// ─── Undo history ────────────────────────────────────────────────────────────
+// Each step keeps the whole list before and after a change; undo/redo just save one of them again.
+const MAX_HISTORY = 50;
+const TOAST_MS = 6000;
+const HISTORY_LABELS = { created: "Added", updated: "Edited", completed: "Completed", reopened: "Reopened", deleted: "Moved to Trash", restored: "Restored", purged: "Deleted forever" };
+const historyLabel = (entries) => !entries.length ? "Change"
+  : `${HISTORY_LABELS[entries[0].action]} "${entries[0].title}"${entries.length > 1 ? ` and ${entries.length - 1} more` : ""}`;
+
+// ─── Revisions & merging ─────────────────────────────────────────────────────
+// rev: bumped on every saved change. A write names the version it was based on; when the stored task has moved on
+// since (another tab, a teammate), the two edits are merged field by field against that base.
+const sameField = (a, b) => JSON.stringify(blankToNull(a) ?? null) === JSON.stringify(blankToNull(b) ?? null);
+
+// Three-way merge → { task, conflicts: [field] }. A field only one side changed takes that side's value; one both
+// changed, to different values, is a conflict (the result keeps theirs until someone decides).
+const mergeTask = (base, ours, theirs) => {
+  const task = { ...theirs };
+  const conflicts = [];
+  new Set([...Object.keys(ours), ...Object.keys(theirs)]).forEach(field => {
+    if (field === "rev" || field === "updatedAt" || sameField(ours[field], theirs[field]) || sameField(ours[field], base?.[field])) return;
+    if (sameField(theirs[field], base?.[field])) task[field] = ours[field];
+    else conflicts.push(field);
+  });
+  return { task, conflicts };
+};
+
+// changes: { put: [{ task, base }], remove: [{ id, base }] }, base = the task as the writer last saw it (null if new).
+// → { list, conflicts: [{ id, ours, theirs, merged, fields }], merged }. What can't be merged isn't written; it comes
+// back as a conflict — `ours`/`theirs` null meaning deleted on that side, `merged` the clean part of a field merge.
+const applyTaskChanges = (stored, { put = [], remove = [] }) => {
+  const byId = new Map(stored.map(t => [t.id, t]));
+  const conflicts = [];
+  let merged = false;
+  put.forEach(({ task, base }) => {
+    const theirs = byId.get(task.id);
+    if (!theirs) return base ? conflicts.push({ id: task.id, ours: task, theirs: null }) : byId.set(task.id, task);
+    if (base && (theirs.rev || 0) === (base.rev || 0)) return byId.set(task.id, task);
+    const result = mergeTask(base, task, theirs);
+    if (result.conflicts.length) return conflicts.push({ id: task.id, ours: task, theirs, merged: result.task, fields: result.conflicts });
+    byId.set(task.id, { ...result.task, rev: (theirs.rev || 0) + 1, updatedAt: task.updatedAt });
+    merged = true;
+  });
+  remove.forEach(({ id, base }) => {
+    const theirs = byId.get(id);
+    if (!theirs) return;
+    if ((theirs.rev || 0) !== (base?.rev || 0)) return conflicts.push({ id, ours: null, theirs });
+    byId.delete(id);
+  });
+  return { list: [...byId.values()], conflicts, merged };
+};
+
+// The local list vs a fresh read of the stored one: the stored copy wins unless the local one is ahead (a save still
+// on its way). Only trashed tasks are ever removed for good, so a local task missing from storage is either not saved
+// yet (kept) or was purged in another tab (dropped, if it's in the Trash).
+const reconcileTasks = (local, stored) => {
+  const mine = new Map(local.map(t => [t.id, t]));
+  const ids = new Set(stored.map(t => t.id));
+  return [
+    ...stored.map(t => (mine.get(t.id)?.rev || 0) > (t.rev || 0) ? mine.get(t.id) : t),
+    ...local.filter(t => !ids.has(t.id) && !t.deletedAt),
+  ];
+};
+
+// ─── Calendar ────────────────────────────────────────────────────────────────
+// A task occupies [deadline − estimatedTime, deadline]: the work has to be done by the deadline.
+// Unestimated tasks are drawn as a half-hour marker.
+const MIN_BLOCK = 0.5;
+const HOUR_PX = 44; // height of one hour in the week/day grid
+const startOfDay = (d) => { const x = new Date(d); x.setHours(0, 0, 0, 0); return x; };
+const addDays = (d, n) => { const x = new Date(d); x.setDate(x.getDate() + n); return x; };
+const startOfWeek = (d) => addDays(startOfDay(d), -new Date(d).getDay());
+const sameDay = (a, b) => startOfDay(a).getTime() === startOfDay(b).getTime();
+const blockHours = (t) => t.estimatedTime > 0 ? t.estimatedTime : MIN_BLOCK;
+
+// Moving a recurring instance re-pins its rule (monthly day / nth weekday) to the new deadline.
+const rescheduleTask = (t, when) => {
+  const deadline = toLocalInput(when);
+  return { ...t, deadline, recurrence: t.recurrence && Recurrence.normalize(t.recurrence, deadline) };
+};
+
+// Hours of open work due on `day` (subtask-aware, like the AI queue).
+const dayLoad = (tasks, day) => tasks
+  .filter(t => !t.completed && t.deadline && sameDay(t.deadline, day))
+  .reduce((sum, t) => sum + remainingTime(t), 0);
+
+// Side-by-side lanes for overlapping blocks within one day: { task, start, end (hours), lane, lanes }.
+const layoutDay = (tasks, day) => {
+  const blocks = tasks.filter(t => t.deadline && sameDay(t.deadline, day)).map(t => {
+    const d = new Date(t.deadline);
+    const end = d.getHours() + d.getMinutes() / 60;
+    return { task: t, start: Math.max(0, end - blockHours(t)), end: Math.max(end, MIN_BLOCK) };
+  }).sort((a, b) => a.start - b.start || b.end - a.end);
+  const clusters = [];
+  blocks.forEach(b => {
+    const cluster = clusters[clusters.length - 1];
+    if (cluster && b.start < cluster.end) { cluster.items.push(b); cluster.end = Math.max(cluster.end, b.end); }
+    else clusters.push({ items: [b], end: b.end });
+  });
+  clusters.forEach(({ items }) => {
+    const laneEnds = [];
+    items.forEach(b => {
+      b.lane = laneEnds.findIndex(e => e <= b.start);
+      if (b.lane < 0) b.lane = laneEnds.length;
+      laneEnds[b.lane] = b.end;
+    });
+    items.forEach(b => { b.lanes = laneEnds.length; });
+  });
+  return blocks;
+};
+
+// ─── Pomodoro ────────────────────────────────────────────────────────────────
+// session: { taskId, phase: "work"|"break"|"ready", startedAt, endsAt, cycles } — persisted via DB.saveFocus.
+const Pomodoro = {
+  start: (taskId, cfg, now = Date.now(), cycles = 0) => ({ taskId, phase: "work", startedAt: now, endsAt: now + cfg.work * 60000, cycles }),
+  // Rolls the session past every phase boundary up to `now` (the page may have been closed for a while)
+  // and returns the work blocks that finished along the way. After a break it waits for the user.
+  advance: (session, cfg, now = Date.now()) => {
+    let s = session;
+    const finished = [];
+    while (s.phase !== "ready" && now >= s.endsAt) {
+      if (s.phase === "work") {
+        finished.push({ start: new Date(s.startedAt).toISOString(), end: new Date(s.endsAt).toISOString() });
+        const cycles = s.cycles + 1;
+        const mins = cycles % cfg.longEvery === 0 ? cfg.longBreak : cfg.shortBreak;
+        s = { ...s, phase: "break", cycles, startedAt: s.endsAt, endsAt: s.endsAt + mins * 60000 };
+      } else {
+        s = { ...s, phase: "ready", startedAt: null, endsAt: null };
+      }
+    }
+    return { session: s, finished };
+  },
+};
+
+// ─── Import & export ─────────────────────────────────────────────────────────
+// Every format is parsed into plain task records first; Transfer.plan then dry-runs them against the
+// current list (matching by id) so the user sees what would change before anything is written.
+const BACKUP_FORMAT = "taskflow-backup";
+
+const CSV_COLUMNS = [
+  { key: "id", label: "ID", aliases: ["uid", "taskid"] },
+  { key: "title", label: "Title", aliases: ["name", "task", "summary", "content"] },
+  { key: "description", label: "Description", aliases: ["notes", "details", "body"] },
+  { key: "priority", label: "Priority", aliases: ["importance"] },
+  { key: "deadline", label: "Deadline", aliases: ["due", "duedate", "dueat", "date"] },
+  { key: "estimatedTime", label: "Estimated Hours", aliases: ["estimate", "hours", "estimatedtime", "duration"] },
+  { key: "completed", label: "Completed", aliases: ["done", "status", "iscompleted"] },
+  { key: "completedAt", label: "Completed At", aliases: ["donedate", "completeddate", "completedon"] },
+  { key: "project", label: "Project", aliases: ["list", "board", "folder"] },
+  { key: "tags", label: "Tags", aliases: ["labels", "categories", "tag"] },
+];
+
+// Other tools use words, letters or P1–P4; anything unrecognised stays medium.
+const normalizePriority = (value) => {
+  const v = String(value ?? "").trim().toLowerCase();
+  if (["high", "h", "urgent", "p1", "1"].includes(v)) return "high";
+  if (["low", "l", "p4", "p3", "3", "4"].includes(v)) return "low";
+  return "medium";
+};
+const isTruthy = (value) => ["true", "yes", "y", "1", "x", "done", "completed", "✓"].includes(String(value ?? "").trim().toLowerCase());
+
+const downloadFile = (name, content, type = "text/plain") => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = Object.assign(document.createElement("a"), { href: url, download: name });
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+const csvCell = (v) => /[",\n\r]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+const icsText = (v) => String(v).replace(/[\\;,]/g, c => `\\${c}`).replace(/\r\n?|\n/g, "\\n");
+const icsUnescape = (v) => v.replace(/\\([nN;,\\])/g, (_, c) => c === "n" || c === "N" ? "\n" : c);
+// DUE stays a floating local time, like the datetime-local deadlines it comes from; timestamps are UTC.
+const icsLocal = (d) => `${d.getFullYear()}${pad2(d.getMonth() + 1)}${pad2(d.getDate())}T${pad2(d.getHours())}${pad2(d.getMinutes())}00`;
+const icsUTC = (d) => new Date(d).toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+// Lines longer than 75 octets of UTF-8 are folded onto continuation lines that start with a space, between characters.
+const icsFold = (line) => {
+  const lines = [""];
+  let octets = 0;
+  for (const ch of line) {
+    const cp = ch.codePointAt(0);
+    const size = cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+    if (octets + size > 75) {
+      lines.push(" ");
+      octets = 1;
+    }
+    lines[lines.length - 1] += ch;
+    octets += size;
+  }
+  return lines.join("\r\n");
+};
+const parseIcsDate = (v) => {
+  const m = v.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, sec, utc] = m;
+  if (!h) return { date: new Date(+y, mo - 1, d, 23, 59), dateOnly: true };
+  return { date: utc ? new Date(Date.UTC(+y, mo - 1, d, +h, +mi, +sec)) : new Date(+y, mo - 1, d, +h, +mi, +sec), dateOnly: false };
+};
+// Only the hour and minute parts of an iCalendar DURATION matter for estimates (plus days and weeks, as 24h).
+const parseIcsDuration = (v) => {
+  const m = (v || "").match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?/);
+  return m ? (+(m[1] || 0) * 168 + +(m[2] || 0) * 24 + +(m[3] || 0) + +(m[4] || 0) / 60) : 0;
+};
+
+const Transfer = {
+  // ── JSON backup: tasks + projects + settings
+  toBackup: ({ tasks, projects, settings }) => ({
+    format: BACKUP_FORMAT, schemaVersion: SCHEMA_VERSION, exportedAt: new Date().toISOString(), tasks, projects, settings,
+  }),
+  fromBackup: (text) => {
+    const data = JSON.parse(text);
+    if (Array.isArray(data)) return { tasks: data }; // a bare task list is fine too
+    if (data?.format !== BACKUP_FORMAT || !Array.isArray(data.tasks)) throw new Error("This doesn't look like a TaskFlow backup file.");
+    return { tasks: data.tasks, projects: data.projects || [], settings: data.settings || null };
+  },
+
+  // ── CSV
+  toCSV: (tasks, projects = []) => {
+    const projectName = (id) => projects.find(p => p.id === id)?.name || "";
+    const rows = tasks.map(t => CSV_COLUMNS.map(({ key }) =>
+      key === "project" ? projectName(t.project) : key === "tags" ? (t.tags || []).join("; ") : t[key] ?? ""));
+    return [CSV_COLUMNS.map(c => c.label), ...rows].map(r => r.map(csvCell).join(",")).join("\r\n");
+  },
+  // RFC 4180: quoted fields may contain commas, doubled quotes and newlines. Returns rows of cells.
+  parseCSV: (text) => {
+    const rows = [];
+    let row = [], cell = "", quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (quoted) {
+        if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+        else if (c === '"') quoted = false;
+        else cell += c;
+      } else if (c === '"') quoted = true;
+      else if (c === ",") { row.push(cell); cell = ""; }
+      else if (c === "\n" || c === "\r") {
+        if (c === "\r" && text[i + 1] === "\n") i++;
+        row.push(cell); rows.push(row); row = []; cell = "";
+      } else cell += c;
+    }
+    if (cell || row.length) { row.push(cell); rows.push(row); }
+    return rows.filter(r => r.some(c => c.trim()));
+  },
+  // { field: columnIndex } from the header row; -1 means "not imported".
+  guessMapping: (headers) => {
+    const norm = (h) => h.toLowerCase().replace(/[^a-z0-9]/g, "");
+    const cols = headers.map(norm);
+    return Object.fromEntries(CSV_COLUMNS.map(({ key, label, aliases }) =>
+      [key, cols.findIndex(h => [norm(key), norm(label), ...aliases].includes(h))]));
+  },
+  // Project cells hold names here; Transfer.linkProjects turns them into ids.
+  fromCSV: (rows, mapping) => rows.slice(1).map((row, i) => {
+    const cell = (key) => mapping[key] >= 0 ? (row[mapping[key]] ?? "").trim() : undefined;
+    const t = { id: cell("id") || `csv${Date.now()}${i}`, title: cell("title") };
+    if (cell("description") !== undefined) t.description = cell("description");
+    if (cell("priority") !== undefined) t.priority = normalizePriority(cell("priority"));
+    if (cell("deadline") !== undefined) t.deadline = cell("deadline");
+    if (cell("estimatedTime") !== undefined) t.estimatedTime = parseFloat(cell("estimatedTime")) || 0;
+    if (cell("completed") !== undefined) t.completed = isTruthy(cell("completed"));
+    if (cell("completedAt")) { t.completedAt = cell("completedAt"); t.completed ??= true; }
+    if (cell("project") !== undefined) t.project = cell("project");
+    if (cell("tags") !== undefined) t.tags = cell("tags").split(/[;,]/).map(x => x.trim().replace(/^#/, "")).filter(Boolean);
+    return t;
+  }),
+
+  // ── iCalendar: tasks export as VTODO; both VTODO and VEVENT import
+  toICS: (tasks) => {
+    const stamp = icsUTC(new Date());
+    const todo = (t) => [
+      "BEGIN:VTODO",
+      `UID:${t.id}`,
+      `DTSTAMP:${stamp}`,
+      `CREATED:${icsUTC(t.createdAt)}`,
+      `SUMMARY:${icsText(t.title)}`,
+      t.description && `DESCRIPTION:${icsText(t.description)}`,
+      t.deadline && `DUE:${icsLocal(new Date(t.deadline))}`,
+      `PRIORITY:${{ high: 1, medium: 5, low: 9 }[t.priority]}`,
+      `STATUS:${t.completed ? "COMPLETED" : "NEEDS-ACTION"}`,
+      t.completedAt && `COMPLETED:${icsUTC(t.completedAt)}`,
+      t.tags?.length && `CATEGORIES:${t.tags.map(icsText).join(",")}`,
+      t.recurrence && t.deadline && `RRULE:${Recurrence.toRRULE(t.recurrence)}`,
+      t.estimatedTime > 0 && `X-TASKFLOW-ESTIMATED-HOURS:${t.estimatedTime}`,
+      "END:VTODO",
+    ].filter(Boolean);
+    return ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//TaskFlow AI//Tasks//EN", ...tasks.flatMap(todo), "END:VCALENDAR"]
+      .map(icsFold).join("\r\n") + "\r\n";
+  },
+  fromICS: (text) => {
+    const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+    const items = [];
+    let item = null, nested = 0;
+    lines.forEach(line => {
+      if (/^BEGIN:(VTODO|VEVENT)$/i.test(line)) item = { kind: line.slice(6).toUpperCase(), props: {} };
+      else if (/^END:(VTODO|VEVENT)$/i.test(line)) { items.push(item); item = null; }
+      else if (item && /^BEGIN:/i.test(line)) nested++; // VALARM and friends have their own DESCRIPTION etc.
+      else if (item && /^END:/i.test(line)) nested--;
+      else if (item && !nested) {
+        const m = line.match(/^([A-Z0-9-]+)(?:;[^:]*)?:(.*)$/is); // TZID params are ignored: times are read as local
+        if (m && !(m[1].toUpperCase() in item.props)) item.props[m[1].toUpperCase()] = m[2];
+      }
+    });
+    return items.filter(Boolean).map(({ kind, props: p }, i) => {
+      const start = p.DTSTART && parseIcsDate(p.DTSTART);
+      const due = kind === "VTODO" ? p.DUE && parseIcsDate(p.DUE)
+        : (p.DTEND && !parseIcsDate(p.DTEND)?.dateOnly ? parseIcsDate(p.DTEND) : start);
+      const span = start && due && !start.dateOnly && !due.dateOnly ? (due.date - start.date) / 3600000 : 0;
+      const priority = Number(p.PRIORITY) || 0;
+      const completed = (p.STATUS || "").toUpperCase() === "COMPLETED" || !!p.COMPLETED;
+      const deadline = due ? toLocalInput(due.date) : "";
+      return {
+        id: p.UID ? icsUnescape(p.UID) : `ics${Date.now()}${i}`,
+        title: icsUnescape(p.SUMMARY || ""),
+        description: icsUnescape(p.DESCRIPTION || ""),
+        priority: !priority ? "medium" : priority <= 4 ? "high" : priority === 5 ? "medium" : "low",
+        deadline,
+        estimatedTime: Math.round((Number(p["X-TASKFLOW-ESTIMATED-HOURS"]) || span || parseIcsDuration(p.DURATION)) * 100) / 100,
+        completed,
+        completedAt: completed ? (p.COMPLETED && parseIcsDate(p.COMPLETED)?.date.toISOString()) || new Date().toISOString() : null,
+        tags: p.CATEGORIES ? p.CATEGORIES.split(/(?<!\\),/).map(c => icsUnescape(c).trim()).filter(Boolean) : [],
+        recurrence: p.RRULE && deadline ? Recurrence.fromRRULE(p.RRULE, deadline) : null,
+        ...(p.CREATED && parseIcsDate(p.CREATED) && { createdAt: parseIcsDate(p.CREATED).date.toISOString() }),
+      };
+    });
+  },
+
+  // Resolves `project` values that are names (CSV, other tools) to ids, creating the projects that don't exist yet.
+  linkProjects: (tasks, projects) => {
+    const known = [...projects];
+    const created = [];
+    const linked = tasks.map(t => {
+      if (!t.project || known.some(p => p.id === t.project)) return t;
+      let p = known.find(x => x.name.toLowerCase() === String(t.project).toLowerCase());
+      if (!p) {
+        p = { id: `p${Date.now()}${known.length}`, name: String(t.project), color: LABEL_COLORS[known.length % LABEL_COLORS.length] };
+        known.push(p);
+        created.push(p);
+      }
+      return { ...t, project: p.id };
+    });
+    return { tasks: linked, newProjects: created };
+  },
+
+  // Dry run. Incoming tasks are upgraded and validated like stored ones; a repeated id inside the file keeps
+  // the last copy. A known id is merged into the existing task, so fields the format doesn't carry (subtasks,
+  // time entries, …) survive; onDuplicate decides whether such a task is updated or left alone.
+  plan: (existing, incoming, { onDuplicate = "replace" } = {}) => {
+    const current = new Map(existing.map(t => [t.id, t]));
+    const unique = new Map(incoming.map(t => [String(t.id), t]));
+    // Formats differ in timestamp precision (iCalendar has no milliseconds); that isn't a change.
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b) ||
+      [a, b].every(v => /^\d{4}-\d{2}-\d{2}T/.test(v)) && Math.abs(new Date(a) - new Date(b)) < 1000;
+    const rows = [...unique.values()].map(raw => {
+      const before = current.get(String(raw.id));
+      const task = upgradeTask(before ? { ...before, ...raw, createdAt: before.createdAt, schemaVersion: undefined } : { ...raw, schemaVersion: undefined });
+      const errors = validateTask(task);
+      if (errors.length) return { status: "invalid", task, errors };
+      if (!before) return { status: "new", task };
+      const changes = Object.keys({ ...before, ...task }).filter(k => k !== "schemaVersion" && !same(before[k], task[k]));
+      if (!changes.length) return { status: "same", task, before };
+      return { status: onDuplicate === "keep" ? "skip" : "update", task, before, changes };
+    });
+    const counts = rows.reduce((c, r) => ({ ...c, [r.status]: (c[r.status] || 0) + 1 }), {});
+    return { rows, counts, duplicatesInFile: incoming.length - unique.size };
+  },
+  apply: (existing, plan) => {
+    const updates = new Map(plan.rows.filter(r => r.status === "update").map(r => [r.task.id, r.task]));
+    const added = plan.rows.filter(r => r.status === "new").map(r => r.task);
+    return [...existing.map(t => updates.get(t.id) || t), ...added];
+  },
+};
+
+// ─── Importers (other apps) ──────────────────────────────────────────────────
+// Each importer turns another tool's export into task records for Transfer.plan (project = name, ids prefixed
+// with the source so re-importing the same file updates instead of duplicating) plus a report of what was lost.
+const createReport = () => {
+  const notes = new Map();
+  return {
+    note: (message, n = 1) => notes.set(message, (notes.get(message) || 0) + n),
+    list: () => [...notes].map(([message, count]) => ({ message, count })),
+  };
 };
+// Ids for rows that carry none (Todoist's template CSV): a hash of what the row says, so the same row gets the same id
+// in any file and different rows don't collide across files. Identical rows are told apart by their order.
+const hashText = (text, h = 0x811c9dc5) => {
+  for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 0x01000193); // FNV-1a
+  return (h >>> 0).toString(36);
+};
+const contentIds = (prefix) => {
+  const seen = new Map();
+  return (...parts) => {
+    const key = JSON.stringify(parts);
+    const n = (seen.get(key) || 0) + 1;
+    seen.set(key, n);
+    return `${prefix}${hashText(key)}${hashText(key, 0x9747b28c)}${n > 1 ? `-${n}` : ""}`;
+  };
+};
+// Date-only due dates become end-of-day deadlines, like all-day iCalendar items.
+const dueFrom = (value) => !value || isNaN(new Date(value)) ? "" : localDeadline(value);
+const stripHtml = (html) => (html || "").replace(/<br\s*\/?>|<\/p>/gi, "\n").replace(/<[^>]+>/g, "").replace(/&nbsp;/g, " ").replace(/&amp;/g, "&").replace(/&lt;/g, "<").replace(/&gt;/g, ">").trim();
+const WEEKDAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+// "every day", "every 2 weeks", "every mon, fri", "monthly" → a recurrence rule; anything fancier is null.
+const recurrenceFromPhrase = (phrase, deadline) => {
+  const p = (phrase || "").trim().toLowerCase();
+  const simple = p.match(/^(?:every\s+(?:(\d+|other)\s+)?(day|week|month)s?|(daily|weekly|monthly))$/);
+  if (simple) {
+    const unit = simple[2] || { daily: "day", weekly: "week", monthly: "month" }[simple[3]];
+    const interval = simple[1] === "other" ? 2 : Number(simple[1]) || 1;
+    return Recurrence.normalize({ freq: { day: "daily", week: "weekly", month: "monthly" }[unit], interval }, deadline);
+  }
+  const days = p.match(/^every\s+([a-z,\s]+)$/)?.[1].split(/\s*(?:,|and)\s*/).map(d => WEEKDAY_NAMES.findIndex(n => n.startsWith(d.slice(0, 3))));
+  if (days?.length && days.every(d => d >= 0)) return Recurrence.normalize({ freq: "weekly", byDay: days }, deadline);
+  return null;
+};
+
+const Importers = {
+  // Todoist: a sync/REST JSON dump ({ items, projects } or a task array) or a project template CSV (TYPE, CONTENT, …).
+  todoist: {
+    label: "Todoist",
+    detect: (data) => {
+      const items = Array.isArray(data) ? data : data?.items;
+      return Array.isArray(items) && items.length > 0 && "content" in items[0] && "priority" in items[0];
+    },
+    detectCSV: (rows) => rows[0]?.[0] === "TYPE" && rows[0].includes("CONTENT"),
+    parse: (data) => {
+      const report = createReport();
+      const items = Array.isArray(data) ? data : data.items;
+      const projectName = Object.fromEntries((data.projects || []).map(p => [p.id, p.name]));
+      const byId = Object.fromEntries(items.map(i => [i.id, i]));
+      const root = (i) => { let r = i; while (r.parent_id && byId[r.parent_id]) r = byId[r.parent_id]; return r; };
+      const hours = (d) => !d ? 0 : d.unit === "day" ? d.amount * 8 : d.amount / 60;
+      const tasks = items.filter(i => !i.parent_id || !byId[i.parent_id]).map(i => {
+        const deadline = dueFrom(i.due?.datetime || i.due?.date);
+        const recurrence = i.due?.is_recurring ? recurrenceFromPhrase(i.due.string, deadline) : null;
+        if (i.due?.is_recurring && !recurrence) report.note(`Recurring schedule "${i.due.string}" imported as a one-off`);
+        const completed = !!(i.checked ?? i.is_completed);
+        return {
+          id: `todoist-${i.id}`,
+          title: i.content,
+          description: i.description || "",
+          priority: normalizePriority(`p${5 - (i.priority || 1)}`), // the API counts 4 = p1 (urgent) … 1 = p4 (none)
+          deadline,
+          estimatedTime: hours(i.duration),
+          completed,
+          completedAt: completed ? i.completed_at || null : null,
+          tags: i.labels || [],
+          project: projectName[i.project_id] || "",
+          recurrence,
+          subtasks: items.filter(s => s !== i && s.parent_id && root(s) === i).map(s => ({
+            id: `todoist-${s.id}`, title: s.content, done: !!(s.checked ?? s.is_completed), estimatedTime: hours(s.duration),
+          })),
+          createdAt: i.added_at || i.created_at,
+        };
+      });
+      const nested = items.filter(i => i.parent_id && byId[i.parent_id]?.parent_id).length;
+      if (nested) report.note("Sub-subtasks flattened into their top-level task's checklist", nested);
+      if (data.notes?.length) report.note("Comments not imported", data.notes.length);
+      if (data.sections?.length) report.note("Sections not imported", data.sections.length);
+      const assigned = items.filter(i => i.responsible_uid || i.assignee_id).length;
+      if (assigned) report.note("Assignees not imported", assigned);
+      return { tasks, report: report.list() };
+    },
+    // Template CSV: one row per task/section/note; INDENT > 1 makes a row a subtask of the last top-level task.
+    // Rows have no ids, so tasks are keyed by title, description and date, and subtasks by their task and title.
+    parseCSV: (rows) => {
+      const report = createReport();
+      const col = Object.fromEntries(rows[0].map((h, i) => [h, i]));
+      const idFor = contentIds("todoist-csv-");
+      const tasks = [];
+      rows.slice(1).forEach((row) => {
+        const cell = (h) => (row[col[h]] ?? "").trim();
+        if (cell("TYPE") === "section") return report.note("Sections not imported");
+        if (cell("TYPE") === "note") return report.note("Comments not imported");
+        if (cell("TYPE") !== "task") return;
+        const tags = [...cell("CONTENT").matchAll(/(?:^|\s)@([\w-]+)/g)].map(m => m[1]);
+        const title = cell("CONTENT").replace(/(?:^|\s)@[\w-]+/g, "").trim();
+        const deadline = dueFrom(cell("DATE"));
+        const recurrence = /^every\b|^(daily|weekly|monthly)$/i.test(cell("DATE")) ? recurrenceFromPhrase(cell("DATE"), deadline || toLocalInput(new Date())) : null;
+        if (cell("DATE") && !deadline && !recurrence) report.note(`Due date "${cell("DATE")}" not understood`);
+        const minutes = Number(cell("DURATION")) * (cell("DURATION_UNIT") === "day" ? 480 : 1) || 0;
+        if (Number(cell("INDENT")) > 1 && tasks.length) {
+          const parent = tasks[tasks.length - 1];
+          parent.subtasks.push({ id: idFor(parent.id, title), title, done: false, estimatedTime: minutes / 60 });
+          return;
+        }
+        tasks.push({
+          id: idFor(title, cell("DESCRIPTION"), cell("DATE")),
+          title, description: cell("DESCRIPTION"), priority: normalizePriority(`p${cell("PRIORITY") || 4}`), // 1 = p1 here
+          deadline: deadline || (recurrence ? toLocalInput(new Date()) : ""), recurrence, estimatedTime: minutes / 60, tags, subtasks: [],
+        });
+        if (cell("RESPONSIBLE")) report.note("Assignees not imported");
+      });
+      return { tasks, report: report.list() };
+    },
+  },
+
+  // Trello: board JSON from Menu → Print, export and share → Export as JSON.
+  trello: {
+    label: "Trello",
+    detect: (data) => Array.isArray(data?.cards) && Array.isArray(data?.lists),
+    parse: (board) => {
+      const report = createReport();
+      const lists = Object.fromEntries(board.lists.map(l => [l.id, l]));
+      const checklists = board.checklists || [];
+      // Labels named after a priority set it; colours are a fallback for unnamed labels.
+      const labelPriority = (labels) => {
+        const named = labels.map(l => (l.name || "").toLowerCase());
+        if (named.some(n => /high|urgent|critical/.test(n))) return "high";
+        if (named.some(n => /\blow\b/.test(n))) return "low";
+        if (named.some(n => /medium|normal/.test(n))) return "medium";
+        const colors = labels.filter(l => !l.name).map(l => l.color);
+        return colors.includes("red") ? "high" : colors.includes("green") ? "low" : "medium";
+      };
+      const archived = board.cards.filter(c => c.closed || lists[c.idList]?.closed).length;
+      if (archived) report.note("Archived cards skipped", archived);
+      const tasks = board.cards.filter(c => !c.closed && !lists[c.idList]?.closed).map(c => {
+        const list = lists[c.idList]?.name || "";
+        const completed = !!c.dueComplete || /\b(done|complete|completed|finished)\b/i.test(list);
+        const labels = c.labels || [];
+        if (labels.some(l => !l.name)) report.note("Unnamed labels used only for priority");
+        if (c.idMembers?.length) report.note("Card members not imported");
+        if (c.badges?.comments) report.note("Comments not imported", c.badges.comments);
+        if (c.badges?.attachments) report.note("Attachments not imported", c.badges.attachments);
+        return {
+          id: `trello-${c.id}`,
+          title: c.name,
+          description: c.desc || "",
+          priority: labelPriority(labels),
+          deadline: dueFrom(c.due),
+          estimatedTime: 0,
+          completed,
+          completedAt: completed ? c.dateLastActivity || null : null,
+          tags: labels.map(l => l.name).filter(Boolean),
+          project: board.name || "",
+          subtasks: checklists.filter(cl => cl.idCard === c.id)
+            .flatMap(cl => [...cl.checkItems].sort((a, b) => a.pos - b.pos))
+            .map(item => ({ id: `trello-${item.id}`, title: item.name, done: item.state === "complete", estimatedTime: 0 })),
+        };
+      });
+      if (tasks.length) report.note("Card list (column) not imported — cards in a Done-like list are marked complete");
+      return { tasks, report: report.list() };
+    },
+  },
+
+  // Microsoft To Do: Graph API task JSON — { value: [tasks] }, { lists: [{ displayName, tasks }] } or an array of such lists.
+  mstodo: {
+    label: "Microsoft To Do",
+    lists: (data) => {
+      if (Array.isArray(data?.value) && data.value[0] && "importance" in data.value[0]) return [{ displayName: "", tasks: data.value }];
+      const lists = Array.isArray(data) ? data : data?.lists || data?.value;
+      return Array.isArray(lists) && lists.every(l => l && "displayName" in l && Array.isArray(l.tasks)) ? lists : null;
+    },
+    detect: (data) => !!Importers.mstodo.lists(data)?.length,
+    parse: (data) => {
+      const report = createReport();
+      const toDate = (dt) => dt && (dt.timeZone === "UTC" && !/Z$/.test(dt.dateTime) ? `${dt.dateTime}Z` : dt.dateTime);
+      const recurrence = (r, deadline) => {
+        const type = r?.pattern?.type;
+        const rule = {
+          daily: { freq: "daily" },
+          weekly: { freq: "weekly", byDay: (r?.pattern?.daysOfWeek || []).map(d => WEEKDAY_NAMES.indexOf(d.toLowerCase())).filter(d => d >= 0) },
+          absoluteMonthly: { freq: "monthly", monthlyBy: "date" },
+          relativeMonthly: { freq: "monthly", monthlyBy: "nth" },
+        }[type];
+        if (type && !rule) report.note(`"${type}" repeat imported as a one-off`);
+        const until = r?.range?.type === "endDate" ? r.range.endDate : "";
+        const count = r?.range?.type === "numbered" ? r.range.numberOfOccurrences : 0;
+        return rule && deadline ? Recurrence.normalize({ ...rule, interval: r.pattern.interval, until, count }, deadline) : null;
+      };
+      const tasks = Importers.mstodo.lists(data).flatMap(list => list.tasks.map(t => {
+        const deadline = t.dueDateTime ? dueFrom(t.dueDateTime.dateTime.slice(0, 10)) : "";
+        const completed = t.status === "completed";
+        if (t.isReminderOn) report.note("Reminders not imported");
+        if (t.linkedResources?.length) report.note("Linked resources not imported", t.linkedResources.length);
+        if (t.attachments?.length || t.hasAttachments) report.note("Attachments not imported");
+        if (t.status && !["notStarted", "completed"].includes(t.status)) report.note(`Status "${t.status}" imported as not completed`);
+        return {
+          id: `mstodo-${t.id}`,
+          title: t.title,
+          description: t.body?.contentType === "html" ? stripHtml(t.body.content) : (t.body?.content || "").trim(),
+          priority: { high: "high", low: "low" }[t.importance] || "medium",
+          deadline,
+          estimatedTime: 0,
+          completed,
+          completedAt: completed ? (toDate(t.completedDateTime) && new Date(toDate(t.completedDateTime)).toISOString()) || null : null,
+          tags: t.categories || [],
+          project: list.displayName || "",
+          recurrence: recurrence(t.recurrence, deadline),
+          subtasks: (t.checklistItems || []).map(c => ({ id: `mstodo-${c.id}`, title: c.displayName, done: !!c.isChecked, estimatedTime: 0 })),
+          createdAt: t.createdDateTime,
+        };
+      }));
+      return { tasks, report: report.list() };
+    },
+  },
+};
+const detectImporter = (data) => Object.keys(Importers).find(k => Importers[k].detect(data));
 
 // ─── AI Engine ───────────────────────────────────────────────────────────────
+const UNBLOCK_BOOST = 0.15;
+const PACE_DAYS = 28;
+const PACE_MIN_SAMPLES = 5;
+const PRIORITY_WEIGHT = { high: 3, medium: 2, low: 1 };
+
+// The parts of a task's score. Each maps a task to a raw value; factors with a settings key are multiplied by the
+// user's weight for it, the rest by their fixed `weight`. A new factor only needs an entry here.
+const SCORE_FACTORS = [
+  {
+    key: "priority", label: "Priority",
+    raw: (t) => PRIORITY_WEIGHT[t.priority] || 1,
+    explain: (t) => `${t.priority || "low"} priority`,
+  },
+  {
+    key: "urgency", label: "Urgency",
+    raw: (t, { now }) => t.deadline ? 1 / ((new Date(t.deadline) - now) / 86400000 + 1) : 0,
+    explain: (t, { now }) => {
+      if (!t.deadline) return "no deadline";
+      const days = (new Date(t.deadline) - now) / 86400000;
+      return days < 0 ? "overdue" : days < 1 ? `due in ${Math.max(1, Math.round(days * 24))}h` : `due in ${Math.round(days)}d`;
+    },
+  },
+  {
+    key: "efficiency", label: "Quick win",
+    raw: (t, { bias }) => { const time = remainingTime(t) * bias; return time ? 1 / time : 0; },
+    explain: (t, { bias }) => remainingTime(t) ? `~${Math.round(remainingTime(t) * bias * 10) / 10}h left${bias !== 1 ? " (adjusted to your pace)" : ""}` : "no estimate",
+  },
+  {
+    key: "unblocks", label: "Unblocks", weight: UNBLOCK_BOOST,
+    raw: (t, { tasks }) => dependentsCount(t.id, tasks),
+    explain: (t, { tasks }) => { const n = dependentsCount(t.id, tasks); return n ? `${n} task${n > 1 ? "s" : ""} waiting on it` : "nothing waiting on it"; },
+  },
+];
+
+const WEIGHTED_FACTORS = SCORE_FACTORS.filter(f => f.weight === undefined);
+
+// Learned weights: each completion is a choice among the open tasks, recorded as
+// { at, picked, recommended, candidates: [{ id, x: { [factor]: raw } }] } (see DB.saveChoices).
+const MAX_CHOICES = 200;
+const CHOICE_CANDIDATES = 15; // the top of the queue at the time, plus the task picked
+const LEARN_MIN_CHOICES = 10;
+const LEARN_PRIOR = 2; // how strongly the fit is pulled back towards the manual weights
+const clampFeature = (v) => Math.min(5, Math.max(-5, v));
+
 const AIEngine = {
-  suggestOrder: (tasks) => {
-    return [...tasks].sort((a, b) => {
-      const priorityScore = { high: 3, medium: 2, low: 1 };
-      const pa = priorityScore[a.priority] || 1;
-      const pb = priorityScore[b.priority] || 1;
-      const deadlineA = a.deadline ? new Date(a.deadline).getTime() : Infinity;
-      const deadlineB = b.deadline ? new Date(b.deadline).getTime() : Infinity;
-      const urgencyA = deadlineA === Infinity ? 0 : 1 / ((deadlineA - Date.now()) / 86400000 + 1);
-      const urgencyB = deadlineB === Infinity ? 0 : 1 / ((deadlineB - Date.now()) / 86400000 + 1);
-      const scoreA = pa * 0.4 + urgencyA * 0.4 + (a.estimatedTime ? 1 / a.estimatedTime : 0) * 0.2;
-      const scoreB = pb * 0.4 + urgencyB * 0.4 + (b.estimatedTime ? 1 / b.estimatedTime : 0) * 0.2;
-      return scoreB - scoreA;
-    });
+  // Every factor of every task's score, worked out once: Map id → { total, factors: [{ key, label, raw, weight, points, why }] }.
+  // bias: the user's actual ÷ estimated hours (see estimationBias) — scales the efficiency term's estimate.
+  scores: (tasks, { bias = 1, weights = DEFAULT_SETTINGS.weights, now = new Date() } = {}) => {
+    const ctx = { tasks, bias, now };
+    return new Map(tasks.map(t => {
+      const factors = SCORE_FACTORS.map(f => {
+        const weight = f.weight ?? weights[f.key] ?? 0;
+        const raw = f.raw(t, ctx);
+        return { key: f.key, label: f.label, raw, weight, points: raw * weight, why: f.explain(t, ctx) };
+      });
+      return [t.id, { total: factors.reduce((sum, f) => sum + f.points, 0), factors }];
+    }));
+  },
+  suggestOrder: (tasks, options = {}) => {
+    const scores = AIEngine.scores(tasks, options);
+    // Topological order: repeatedly take the best-scoring task whose blockers are already placed.
+    const ids = new Set(tasks.map(t => t.id));
+    const placed = new Set();
+    const remaining = [...tasks].sort((a, b) => scores.get(b.id).total - scores.get(a.id).total);
+    const order = [];
+    while (remaining.length) {
+      let i = remaining.findIndex(t => (t.blockedBy || []).every(id => !ids.has(id) || placed.has(id)));
+      if (i === -1) i = 0; // cycle left over in stored data — fall back to plain score order
+      const [next] = remaining.splice(i, 1);
+      placed.add(next.id);
+      order.push(next);
+    }
+    return order;
+  },
+  // Snapshot of the choice the user just made by completing `id`: the engine's pick and the factors of every
+  // open, unblocked candidate as they stood. null when there was nothing to choose between.
+  choiceFor: (tasks, id, options = {}) => {
+    const open = tasks.filter(t => !t.completed && (t.id === id || !openBlockers(t, tasks).length));
+    if (open.length < 2 || !open.some(t => t.id === id)) return null;
+    const ranked = AIEngine.suggestOrder(open, options);
+    const scores = AIEngine.scores(open, options);
+    const kept = ranked.slice(0, CHOICE_CANDIDATES);
+    if (!kept.some(t => t.id === id)) kept.push(open.find(t => t.id === id));
+    return {
+      at: new Date().toISOString(),
+      picked: id,
+      recommended: ranked[0].id,
+      candidates: kept.map(t => ({ id: t.id, x: Object.fromEntries(scores.get(t.id).factors.map(f => [f.key, Math.round(f.raw * 1000) / 1000])) })),
+    };
+  },
+  // Fits personal weights to past choices with a multinomial logit: the chance of picking a task grows with
+  // exp(score). Plain gradient ascent, pulled towards `prior` (the manual weights) so a short history can't swing
+  // far, then rescaled to the prior's total so the fixed factors keep their relative size.
+  // → { weights, choices, tookTop, predicted } or null below LEARN_MIN_CHOICES.
+  fitWeights: (choices, prior = DEFAULT_SETTINGS.weights) => {
+    const usable = choices.filter(c => c.candidates.length > 1 && c.candidates.some(x => x.id === c.picked));
+    if (usable.length < LEARN_MIN_CHOICES) return null;
+    const keys = WEIGHTED_FACTORS.map(f => f.key);
+    const fixed = SCORE_FACTORS.filter(f => f.weight !== undefined);
+    const rows = usable.map(c => ({
+      picked: c.candidates.findIndex(x => x.id === c.picked),
+      x: c.candidates.map(x => keys.map(k => clampFeature(x.x[k] || 0))),
+      offset: c.candidates.map(x => fixed.reduce((sum, f) => sum + clampFeature(x.x[f.key] || 0) * f.weight, 0)),
+    }));
+    const utility = (w, r, i) => r.offset[i] + r.x[i].reduce((sum, v, k) => sum + v * w[k], 0);
+    let w = keys.map(k => prior[k] || 0);
+    for (let iter = 0; iter < 300; iter++) {
+      const grad = keys.map((k, j) => -LEARN_PRIOR * (w[j] - (prior[k] || 0)));
+      rows.forEach(r => {
+        const u = r.x.map((_, i) => utility(w, r, i));
+        const top = Math.max(...u);
+        const e = u.map(v => Math.exp(v - top));
+        const z = e.reduce((a, b) => a + b, 0);
+        keys.forEach((_, j) => { grad[j] += r.x[r.picked][j] - r.x.reduce((sum, x, i) => sum + x[j] * e[i] / z, 0); });
+      });
+      w = w.map((v, j) => v + (0.5 / rows.length) * grad[j]);
+    }
+    const total = keys.reduce((sum, k) => sum + (prior[k] || 0), 0);
+    const positive = w.map(v => Math.max(0, v));
+    const sum = positive.reduce((a, b) => a + b, 0) || 1;
+    const weights = Object.fromEntries(keys.map((k, j) => [k, Math.round((positive[j] / sum) * total * 1000) / 1000]));
+    const best = (r, wts) => r.x.reduce((b, _, i) => utility(wts, r, i) > utility(wts, r, b) ? i : b, 0);
+    return {
+      weights,
+      choices: rows.length,
+      tookTop: usable.filter(c => c.picked === c.recommended).length,
+      predicted: rows.filter(r => best(r, keys.map(k => weights[k])) === r.picked).length,
+    };
+  },
+  // The weights the queue actually uses: learned ones once there's enough history (unless switched off), else the manual ones.
+  rankingWeights: (settings, choices) => {
+    const fit = settings.adaptive ? AIEngine.fitWeights(choices, settings.weights) : null;
+    return { weights: fit ? fit.weights : settings.weights, fit };
+  },
+  // How much longer (>1) or shorter (<1) than estimated this user's finished tasks actually took.
+  estimationBias: (tasks) => {
+    const samples = tasks.filter(t => t.completed && t.estimatedTime > 0 && trackedHours(t) > 0);
+    if (samples.length < 3) return 1;
+    const actual = samples.reduce((sum, t) => sum + trackedHours(t), 0);
+    const estimated = samples.reduce((sum, t) => sum + t.estimatedTime, 0);
+    return Math.min(4, Math.max(0.25, actual / estimated));
+  },
+  // Estimated hours finished per day worked, from completedAt over the last PACE_DAYS — only days on which
+  // something was completed count, so holidays and quiet weeks don't drag it down. null until there's enough history.
+  completionPace: (tasks, now = new Date()) => {
+    const since = addDays(startOfDay(now), -PACE_DAYS);
+    const done = tasks.filter(t => t.completed && t.estimatedTime > 0 && new Date(t.completedAt) >= since);
+    if (done.length < PACE_MIN_SAMPLES) return null;
+    const days = new Set(done.map(t => startOfDay(t.completedAt).getTime())).size;
+    return done.reduce((sum, t) => sum + t.estimatedTime, 0) / days;
+  },
+  // A task is at risk when the open work due by its deadline (its own and everything due before it) needs more
+  // hours than the working time left until then. With a known pace, work is counted in estimated hours and the
+  // working time is scaled to what the user actually gets through in a day; without one, estimates are scaled by
+  // the estimation bias instead. → [{ task, demand, capacity, others, why }]
+  deadlineRisk: (tasks, { workday, events = [], now = new Date(), days = PLAN_DAYS }) => {
+    const pace = AIEngine.completionPace(tasks, now);
+    const bias = pace ? 1 : AIEngine.estimationBias(tasks);
+    const factor = pace ? Math.min(1, pace / Math.max(1, workday.end - workday.start)) : 1;
+    const horizon = addDays(startOfDay(now), days);
+    const pending = tasks.filter(t => !t.completed && t.deadline && new Date(t.deadline) > now && new Date(t.deadline) < horizon);
+    const free = Scheduler.freeTime(workday, events, now, days);
+    const need = new Map(pending.map(t => [t.id, hoursNeeded(t, bias).hours]));
+    return pending.map(task => {
+      const deadline = new Date(task.deadline);
+      const due = pending.filter(t => new Date(t.deadline) <= deadline);
+      const demand = due.reduce((sum, t) => sum + need.get(t.id), 0);
+      const capacity = free.reduce((sum, f) => sum + Math.max(0, hoursBetween(f.from, Math.min(f.to, deadline))), 0) * factor;
+      if (demand <= capacity) return null;
+      const others = due.length - 1;
+      const when = deadline.toLocaleString([], { weekday: "short", month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+      const summary = `${demand.toFixed(1)}h of ${pace ? "estimated " : ""}work is due by ${when}` + (others ? ` (this task and ${others} other${others > 1 ? "s" : ""} due before it)` : "");
+      const why = capacity <= 0 ? `${summary}, but there's no working time left before then.`
+        : pace ? `${summary}, but at your recent pace of ${pace.toFixed(1)}h per day worked you'll get through about ${capacity.toFixed(1)}h before then.`
+        : `${summary}, but only ${capacity.toFixed(1)}h of working time is left before then${bias !== 1 ? `, counting your tasks taking ${bias.toFixed(1)}× their estimates` : ""}.`;
+      return { task, demand, capacity, others, why };
+    }).filter(Boolean).sort((a, b) => new Date(a.task.deadline) - new Date(b.task.deadline));
   },
   getProductivityTip: (tasks) => {
     const overdue = tasks.filter(t => t.deadline && new Date(t.deadline) < new Date() && !t.completed).length;
@@ -43,13 +1776,16 @@ const AIEngine = {
     if (tasks.filter(t => !t.completed).length === 0) return "✨ All clear! Perfect time to plan ahead.";
     return "💡 Try the 2-minute rule: if a task takes under 2 minutes, do it now.";
   },
-  getNotifications: (tasks) => {
+  // risks: from deadlineRisk — an at-risk task is flagged as such however far off its deadline is.
+  getNotifications: (tasks, risks = []) => {
     const now = new Date();
     return tasks
       .filter(t => !t.completed && t.deadline)
       .map(t => {
         const diff = (new Date(t.deadline) - now) / 3600000;
+        const risk = risks.find(r => r.task.id === t.id);
         if (diff < 0) return { task: t, type: "overdue", msg: `"${t.title}" is overdue!` };
+        if (risk) return { task: t, type: "risk", msg: `"${t.title}" is at risk — ${risk.demand.toFixed(1)}h of work, ${risk.capacity.toFixed(1)}h left`, why: risk.why };
         if (diff < 24) return { task: t, type: "urgent", msg: `"${t.title}" due in ${Math.round(diff)}h` };
         if (diff < 72) return { task: t, type: "soon", msg: `"${t.title}" due in ${Math.round(diff / 24)}d` };
         return null;
@@ -58,8 +1794,89 @@ const AIEngine = {
   },
 };
 
+// ─── Scheduler ───────────────────────────────────────────────────────────────
+// Packs the AI queue into concrete blocks inside working hours, around fixed events, across the coming days.
+// events: [{ id, title, date: "YYYY-MM-DD", start: "HH:MM", end: "HH:MM", repeat: "none"|"daily"|"weekdays"|"weekly" }]
+const SLOT = 0.25; // hours — planning starts on the next quarter hour, and a free gap shorter than this is skipped
+const PLAN_DAYS = 14;
+const EVENT_REPEATS = { none: "Once", daily: "Every day", weekdays: "Weekdays", weekly: "Weekly" };
+
+const atClock = (day, hhmm) => { const [h, m] = hhmm.split(":").map(Number); const d = new Date(day); d.setHours(h, m, 0, 0); return d; };
+const atHour = (day, hours) => { const d = new Date(day); d.setHours(0, Math.round(hours * 60), 0, 0); return d; };
+const hoursBetween = (a, b) => (b - a) / 3600000;
+
+const eventOccurs = (ev, day) => {
+  const first = startOfDay(`${ev.date}T00:00`);
+  if (day < first) return false;
+  if (ev.repeat === "daily") return true;
+  if (ev.repeat === "weekdays") return day.getDay() > 0 && day.getDay() < 6;
+  if (ev.repeat === "weekly") return day.getDay() === first.getDay();
+  return sameDay(first, day);
+};
+const eventsOn = (events, day) => events.filter(ev => eventOccurs(ev, day))
+  .map(ev => ({ ...ev, from: atClock(day, ev.start), to: atClock(day, ev.end) }))
+  .sort((a, b) => a.from - b.from);
+
+// Hours a task still needs: the open subtasks when they're estimated, else the estimate minus time already tracked.
+// An open task that has used up its estimate is overrunning — it keeps a half-hour block until it's completed.
+const hoursNeeded = (t, bias = 1) => {
+  const subsEstimated = (t.subtasks || []).some(s => s.estimatedTime > 0);
+  const left = (subsEstimated ? remainingTime(t) : Math.max(0, (t.estimatedTime || 0) - trackedHours(t))) * bias;
+  const overrun = t.estimatedTime > 0 && trackedHours(t) >= t.estimatedTime;
+  return { hours: Math.ceil(Math.max(left, MIN_BLOCK) / SLOT - 1e-9) * SLOT, overrun };
+};
+
+const Scheduler = {
+  // Free working time from `now` on: working days × working hours, minus fixed events.
+  freeTime: (workday, events, now = new Date(), days = PLAN_DAYS) => {
+    const free = [];
+    const earliest = new Date(Math.ceil(now.getTime() / (SLOT * 3600000)) * SLOT * 3600000);
+    for (let i = 0; i < days; i++) {
+      const day = addDays(startOfDay(now), i);
+      if (!workday.days.includes(day.getDay())) continue;
+      const end = atHour(day, workday.end);
+      let cursor = new Date(Math.max(atHour(day, workday.start), earliest));
+      eventsOn(events, day).forEach(ev => {
+        if (ev.to <= cursor || ev.from >= end) return;
+        if (ev.from > cursor) free.push({ from: cursor, to: ev.from });
+        cursor = ev.to;
+      });
+      if (cursor < end) free.push({ from: cursor, to: end });
+    }
+    return free;
+  },
+  // Greedy: each task in queue order takes the earliest free time, split across gaps and days if it must.
+  // → { blocks: [{ task, start, end, part, parts }], plans: { [id]: { task, hours, overrun, finish, late, unscheduled } } }
+  plan: (tasks, { workday, events = [], now = new Date(), bias = 1, weights, days = PLAN_DAYS }) => {
+    const free = Scheduler.freeTime(workday, events, now, days).filter(f => hoursBetween(f.from, f.to) >= SLOT);
+    const blocks = [];
+    const plans = {};
+    AIEngine.suggestOrder(tasks.filter(t => !t.completed), { bias, weights, now }).forEach(task => {
+      const { hours, overrun } = hoursNeeded(task, bias);
+      const chunks = [];
+      let left = hours;
+      while (left > 1e-9 && free.length) {
+        const gap = free[0];
+        const end = new Date(Math.min(gap.to, gap.from.getTime() + left * 3600000));
+        chunks.push({ task, start: gap.from, end });
+        left -= hoursBetween(gap.from, end);
+        gap.from = end;
+        if (hoursBetween(gap.from, gap.to) < SLOT) free.shift();
+      }
+      chunks.forEach((c, i) => { c.part = i + 1; c.parts = chunks.length; });
+      blocks.push(...chunks);
+      const finish = chunks.length ? chunks[chunks.length - 1].end : null;
+      const unscheduled = left > 1e-9;
+      const deadline = task.deadline ? new Date(task.deadline) : null;
+      plans[task.id] = { task, hours, overrun, finish, unscheduled, late: !!deadline && (unscheduled || finish > deadline) };
+    });
+    return { blocks: blocks.sort((a, b) => a.start - b.start), plans };
+  },
+};
+
 // ─── Analytics helpers ────────────────────────────────────────────────────────
-const getAnalytics = (tasks) => {
+// members: the active workspace's members (null for a personal list) — adds the per-assignee workload.
+const getAnalytics = (tasks, projects = [], members = null) => {
   const last7 = Array.from({ length: 7 }, (_, i) => {
     const d = new Date();
     d.setDate(d.getDate() - (6 - i));
@@ -69,21 +1886,55 @@ const getAnalytics = (tasks) => {
     day: day.split(" ")[0],
     completed: tasks.filter(t => t.completedAt && new Date(t.completedAt).toDateString() === day).length,
     added: tasks.filter(t => new Date(t.createdAt).toDateString() === day).length,
+    pomodoros: tasks.flatMap(t => t.pomodoros || []).filter(p => new Date(p.end).toDateString() === day).length,
   }));
   const byPriority = [
     { name: "High", value: tasks.filter(t => t.priority === "high").length, color: "#ef4444" },
     { name: "Medium", value: tasks.filter(t => t.priority === "medium").length, color: "#f59e0b" },
     { name: "Low", value: tasks.filter(t => t.priority === "low").length, color: "#10b981" },
   ];
+  const breakdown = (name, color, list) => ({ name, color, value: list.length, completed: list.filter(t => t.completed).length });
+  const byProject = [...projects, { id: "", name: "No project", color: "#7878a0" }]
+    .map(p => breakdown(p.name, p.color, tasks.filter(t => (t.project || "") === p.id)))
+    .filter(p => p.value > 0);
+  const byTag = allTags(tasks)
+    .map(tag => breakdown(`#${tag}`, tagColor(tag), tasks.filter(t => (t.tags || []).includes(tag))))
+    .sort((a, b) => b.value - a.value);
+  const timed = tasks.filter(t => t.completed && t.estimatedTime > 0 && trackedHours(t) > 0);
+  const timeByTask = [...timed]
+    .sort((a, b) => new Date(a.completedAt) - new Date(b.completedAt))
+    .slice(-8)
+    .map(t => ({ name: t.title.length > 14 ? `${t.title.slice(0, 13)}…` : t.title, estimated: t.estimatedTime, actual: +trackedHours(t).toFixed(2) }));
+  const timeByPriority = byPriority.map(({ name }) => {
+    const list = timed.filter(t => t.priority === name.toLowerCase());
+    return {
+      name,
+      estimated: +list.reduce((sum, t) => sum + t.estimatedTime, 0).toFixed(2),
+      actual: +list.reduce((sum, t) => sum + trackedHours(t), 0).toFixed(2),
+    };
+  });
   const total = tasks.length;
   const completed = tasks.filter(t => t.completed).length;
   const rate = total ? Math.round((completed / total) * 100) : 0;
-  return { completionTrend, byPriority, total, completed, rate };
+  const byAssignee = members && [...members.map(m => ({ id: m.userId, name: m.name })), { id: "", name: "Unassigned" }]
+    .map(({ id, name }) => {
+      const list = tasks.filter(t => (t.assignee || "") === id);
+      const open = list.filter(t => !t.completed);
+      return {
+        id, name,
+        open: open.length,
+        completed: list.length - open.length,
+        hours: +open.reduce((sum, t) => sum + remainingTime(t), 0).toFixed(1),
+        overdue: open.filter(t => t.deadline && new Date(t.deadline) < new Date()).length,
+      };
+    })
+    .filter(a => a.id || a.open + a.completed > 0);
+  return { completionTrend, byPriority, byProject, byTag, timeByTask, timeByPriority, byAssignee, total, completed, rate };
 };
 
 // ─── Styles (CSS-in-JS) ──────────────────────────────────────────────────────
+// Syne and DM Sans are bundled from @fontsource (imported in main.jsx), so they work offline too.
 const CSS = `
-  @import url('https://fonts.googleapis.com/css2?family=Syne:wght@400;600;700;800&family=DM+Sans:wght@300;400;500&display=swap');
   *, *::before, *::after { box-sizing: border-box; margin: 0; padding: 0; }
   :root {
     --bg: #0a0a0f;
@@ -157,6 +2008,8 @@ const CSS = `
   .topbar { display: flex; align-items: center; justify-content: space-between; padding: 20px 32px; border-bottom: 1px solid var(--border); background: var(--surface); position: sticky; top: 0; z-index: 5; backdrop-filter: blur(12px); }
   .page-title { font-family: 'Syne', sans-serif; font-size: 20px; font-weight: 700; }
   .topbar-actions { display: flex; align-items: center; gap: 12px; }
+  .scope-filter { display: flex; gap: 8px; }
+  .scope-filter select { background: var(--surface2); border: 1px solid var(--border); border-radius: 8px; padding: 6px 10px; color: var(--text); font-size: 13px; outline: none; }
   .toggle-dark { width: 38px; height: 22px; background: var(--surface2); border: 1px solid var(--border); border-radius: 11px; cursor: pointer; position: relative; transition: background 0.2s; }
   .toggle-dark-knob { position: absolute; top: 2px; left: 2px; width: 16px; height: 16px; background: var(--accent); border-radius: 50%; transition: left 0.2s; }
   .toggle-dark.light-mode .toggle-dark-knob { left: 18px; }
@@ -174,6 +2027,33 @@ const CSS = `
   .section-header { padding: 20px 24px; border-bottom: 1px solid var(--border); display: flex; align-items: center; justify-content: space-between; }
   .section-title { font-family: 'Syne', sans-serif; font-size: 16px; font-weight: 700; }
   .section-body { padding: 0; }
+  .board-toolbar { display: flex; align-items: center; justify-content: flex-end; gap: 12px; padding: 12px 24px 0; }
+  .board-err { flex: 1; font-size: 13px; color: var(--accent2); }
+  .column-editor { display: flex; flex-direction: column; gap: 8px; padding: 12px 24px 0; }
+  .column-edit-row { display: flex; align-items: center; gap: 8px; }
+  .column-edit-row input { background: var(--surface2); border: 1px solid var(--border); border-radius: 8px; padding: 6px 10px; color: var(--text); font-size: 13px; }
+  .column-edit-row > input { flex: 1; max-width: 240px; }
+  .column-edit-row label { display: flex; align-items: center; gap: 6px; font-size: 12px; color: var(--muted); }
+  .column-edit-row label input { width: 64px; }
+  .board { display: grid; gap: 14px; padding: 16px 24px 24px; overflow-x: auto; }
+  .board-col { background: var(--surface2); border: 1px solid var(--border); border-radius: var(--radius); padding: 10px; min-height: 160px; display: flex; flex-direction: column; gap: 8px; transition: border-color 0.15s; }
+  .board-col.drop { border-color: var(--accent); }
+  .board-col.over-wip { border-color: var(--high); }
+  .board-col-header { display: flex; justify-content: space-between; align-items: center; font-size: 13px; font-weight: 600; padding: 2px 4px 6px; }
+  .board-count { font-size: 11px; color: var(--muted); background: var(--surface); padding: 2px 8px; border-radius: 20px; }
+  .board-count.full { color: var(--high); }
+  .board-card { background: var(--surface); border: 1px solid var(--border); border-radius: 10px; padding: 10px 12px; cursor: grab; }
+  .board-card:hover { border-color: var(--accent); }
+  .board-card.dragging { opacity: 0.4; }
+  .board-card .task-meta { flex-wrap: wrap; margin-top: 6px; }
+  .drop-marker { height: 3px; border-radius: 2px; background: var(--accent); }
+  .board-empty { font-size: 12px; color: var(--muted); text-align: center; padding: 20px 0; }
+  .quick-add { padding: 14px 24px; border-bottom: 1px solid var(--border); }
+  .quick-add input { width: 100%; background: var(--surface2); border: 1px solid var(--border); border-radius: var(--radius); padding: 10px 14px; color: var(--text); font-size: 14px; outline: none; transition: border-color 0.2s; }
+  .quick-add input:focus { border-color: var(--accent); }
+  .quick-preview { display: flex; flex-wrap: wrap; align-items: center; gap: 8px; margin-top: 10px; font-size: 13px; }
+  .quick-title { font-weight: 600; }
+  .quick-hint { margin-left: auto; font-size: 11px; color: var(--muted); }
 
   /* Task item */
   .task-item { display: flex; align-items: center; gap: 14px; padding: 16px 24px; border-bottom: 1px solid var(--border); transition: background 0.15s; }
@@ -181,6 +2061,7 @@ const CSS = `
   .task-item:hover { background: var(--surface2); }
   .task-check { width: 22px; height: 22px; border-radius: 6px; border: 2px solid var(--border); cursor: pointer; display: flex; align-items: center; justify-content: center; transition: all 0.2s; flex-shrink: 0; }
   .task-check.done { background: var(--accent); border-color: var(--accent); }
+  .task-check.readonly { cursor: default; opacity: 0.6; }
   .task-body { flex: 1; min-width: 0; }
   .task-title { font-size: 14px; font-weight: 500; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
   .task-title.done { text-decoration: line-through; color: var(--muted); }
@@ -191,8 +2072,22 @@ const CSS = `
   .badge-low { background: rgba(16,185,129,0.15); color: var(--low); }
   .task-date { font-size: 11px; color: var(--muted); }
   .task-date.overdue { color: var(--high); }
+  .task-date.blocked { color: var(--accent2); }
+  .task-date.pending { color: var(--medium); }
+  .task-item.blocked .task-title { color: var(--muted); }
+  .timer-btn { font-size: 12px; font-variant-numeric: tabular-nums; padding: 5px 10px; border-radius: 8px; border: 1px solid var(--border); background: var(--surface2); color: var(--muted); cursor: pointer; flex-shrink: 0; }
+  .timer-btn.running { color: var(--accent3); border-color: var(--accent3); background: rgba(67,232,216,0.1); }
+  .timer-btn:disabled { cursor: default; }
   .task-actions { display: flex; gap: 8px; opacity: 0; transition: opacity 0.15s; }
   .task-item:hover .task-actions { opacity: 1; }
+  .subtask-toggle { font-size: 11px; color: var(--muted); background: none; border: none; cursor: pointer; padding: 0; }
+  .subtask-toggle:hover { color: var(--text); }
+  .subtask-list { padding: 4px 24px 12px 60px; border-bottom: 1px solid var(--border); }
+  .subtask-item { display: flex; align-items: center; gap: 10px; padding: 6px 0; }
+  .subtask-item .task-check { width: 18px; height: 18px; }
+  .subtask-row { display: flex; align-items: center; gap: 8px; margin-bottom: 8px; }
+  .field .subtask-row input { padding: 8px 12px; }
+  .field .subtask-row .subtask-hours { width: 70px; flex-shrink: 0; }
 
   /* Progress bar */
   .progress-wrap { margin: 16px 24px; }
@@ -206,30 +2101,189 @@ const CSS = `
   .ai-tip-text { font-size: 14px; }
 
   /* Notifications */
+  .modal-tabs { display: flex; gap: 4px; background: var(--surface2); border-radius: 8px; padding: 4px; margin: -8px 0 20px; }
+  .modal-tabs button { flex: 1; padding: 6px 10px; background: none; border: none; border-radius: 6px; color: var(--muted); font-size: 13px; cursor: pointer; }
+  .modal-tabs button.active { background: var(--surface); color: var(--text); }
+  .comment { margin-bottom: 14px; }
+  .comment-head { display: flex; align-items: center; gap: 8px; font-size: 13px; margin-bottom: 4px; }
+  .comment-time { font-size: 12px; color: var(--muted); }
+  .comment-deleted { font-size: 13px; color: var(--muted); font-style: italic; padding-left: 32px; }
+  .comment .md { padding-left: 32px; }
+  .comment-actions { display: flex; gap: 12px; padding-left: 32px; margin-top: 2px; }
+  .comment-actions button { background: none; border: none; padding: 0; color: var(--muted); font-size: 12px; cursor: pointer; }
+  .comment-actions button:hover { color: var(--accent); }
+  .comment-replies { margin: 10px 0 0 11px; padding-left: 12px; border-left: 2px solid var(--border); }
+  .comment-box { position: relative; margin-top: 8px; }
+  .comment-box textarea { width: 100%; background: var(--surface2); border: 1px solid var(--border); border-radius: var(--radius); padding: 10px 12px; color: var(--text); font: inherit; font-size: 14px; resize: vertical; outline: none; }
+  .comment-box textarea:focus { border-color: var(--accent); }
+  .comment-box-footer { display: flex; align-items: center; gap: 8px; margin-top: 6px; }
+  .comment-box-footer .settings-note { flex: 1; font-size: 11px; }
+  .mention-menu { position: absolute; left: 12px; z-index: 5; background: var(--surface); border: 1px solid var(--border); border-radius: 8px; box-shadow: 0 8px 24px rgba(0,0,0,0.3); overflow: hidden; }
+  .mention-menu button { display: block; width: 100%; text-align: left; padding: 8px 12px; background: none; border: none; color: var(--muted); font-size: 13px; cursor: pointer; }
+  .mention-menu button strong { color: var(--text); margin-right: 6px; }
+  .mention-menu button:hover { background: var(--surface2); }
+  .mention { color: var(--accent); background: rgba(124,106,247,0.12); border-radius: 4px; padding: 0 3px; }
+  .md { font-size: 14px; line-height: 1.55; word-wrap: break-word; }
+  .md p, .md ul, .md ol, .md pre, .md blockquote { margin: 0 0 6px; }
+  .md ul, .md ol { padding-left: 20px; }
+  .md code { background: var(--surface2); border-radius: 4px; padding: 1px 5px; font-size: 13px; }
+  .md pre { background: var(--surface2); border-radius: 8px; padding: 10px 12px; overflow-x: auto; }
+  .md pre code { background: none; padding: 0; }
+  .md blockquote { border-left: 3px solid var(--border); padding-left: 10px; color: var(--muted); white-space: pre-line; }
+  .md a { color: var(--accent3); }
+  .activity-list { list-style: none; font-size: 13px; }
+  .activity-list li { padding: 10px 0; border-bottom: 1px solid var(--border); }
+  .activity-list li:last-child { border-bottom: none; }
+  .activity-change { color: var(--muted); margin-top: 4px; padding-left: 12px; }
+  .activity-change del { color: var(--accent2); }
+  .activity-change ins { color: var(--low); text-decoration: none; }
+  .toast { position: fixed; bottom: 24px; left: 50%; transform: translateX(-50%); z-index: 200; display: flex; align-items: center; gap: 14px; background: var(--surface); border: 1px solid var(--border); border-radius: 12px; padding: 12px 14px 12px 18px; font-size: 14px; box-shadow: 0 12px 32px rgba(0,0,0,0.35); max-width: calc(100vw - 48px); }
+  .toast span { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .toast-action { background: none; border: none; color: var(--accent); font-weight: 600; font-size: 14px; cursor: pointer; }
+  .toast-close { background: none; border: none; color: var(--muted); font-size: 18px; line-height: 1; cursor: pointer; }
+  .conflict-fields { display: flex; flex-direction: column; gap: 12px; margin-top: 16px; }
+  .conflict-field { display: grid; grid-template-columns: 1fr 1fr; gap: 8px; }
+  .conflict-label { grid-column: 1 / -1; font-size: 12px; font-weight: 600; color: var(--muted); text-transform: uppercase; letter-spacing: 0.5px; }
+  .conflict-pick { display: flex; flex-direction: column; gap: 4px; text-align: left; padding: 10px 12px; background: var(--surface2); border: 1px solid var(--border); border-radius: 10px; color: var(--text); font-size: 13px; cursor: pointer; overflow-wrap: anywhere; }
+  .conflict-pick span { font-size: 11px; color: var(--muted); }
+  .conflict-pick.active { border-color: var(--accent); }
+  .sync-status { display: block; width: 100%; margin-bottom: 12px; padding: 8px 10px; background: rgba(245,158,11,0.1); border: 1px solid rgba(245,158,11,0.3); border-radius: 8px; color: var(--medium); font-size: 12px; text-align: left; cursor: pointer; }
+  .sync-status.offline { background: var(--surface2); border-color: var(--border); color: var(--muted); }
+  .workspace-switch { width: 100%; margin-bottom: 16px; background: var(--surface2); border: 1px solid var(--border); color: var(--text); border-radius: 8px; padding: 8px 10px; font-size: 13px; }
   .notif-bar { padding: 12px 24px; background: rgba(247,67,106,0.08); border-bottom: 1px solid rgba(247,67,106,0.2); font-size: 13px; display: flex; align-items: center; gap: 8px; flex-wrap: wrap; }
   .notif-item { background: rgba(247,67,106,0.15); border: 1px solid rgba(247,67,106,0.3); border-radius: 6px; padding: 4px 10px; font-size: 12px; }
   .notif-item.urgent { background: rgba(245,158,11,0.15); border-color: rgba(245,158,11,0.3); color: var(--medium); }
+  .notif-item.risk { background: rgba(124,106,247,0.15); border-color: rgba(124,106,247,0.35); color: var(--accent); cursor: help; }
+  .notif-item.mention { color: var(--accent3); background: rgba(67,232,216,0.1); border-color: rgba(67,232,216,0.3); font: inherit; font-size: 12px; cursor: pointer; }
   .notif-item.soon { background: rgba(16,185,129,0.1); border-color: rgba(16,185,129,0.2); color: var(--low); }
 
   /* Modal */
   .modal-overlay { position: fixed; inset: 0; background: rgba(0,0,0,0.7); backdrop-filter: blur(4px); display: flex; align-items: center; justify-content: center; padding: 24px; z-index: 100; }
-  .modal { background: var(--surface); border: 1px solid var(--border); border-radius: 20px; padding: 32px; width: 100%; max-width: 480px; }
+  .modal { background: var(--surface); border: 1px solid var(--border); border-radius: 20px; padding: 32px; width: 100%; max-width: 480px; max-height: calc(100vh - 48px); overflow-y: auto; }
   .modal-title { font-family: 'Syne', sans-serif; font-size: 20px; font-weight: 700; margin-bottom: 24px; }
   .modal-footer { display: flex; gap: 12px; margin-top: 24px; justify-content: flex-end; }
+  .chip-list { display: flex; gap: 6px; flex-wrap: wrap; margin-bottom: 8px; }
+  .chip { display: inline-flex; align-items: center; gap: 6px; font-size: 12px; padding: 4px 6px 4px 10px; border-radius: 20px; background: var(--surface2); border: 1px solid var(--border); }
+  .chip button { background: none; border: none; color: var(--muted); cursor: pointer; font-size: 14px; line-height: 1; }
+  .field .color-input { width: 48px; padding: 4px; flex-shrink: 0; cursor: pointer; }
+  .day-picker { display: flex; gap: 6px; flex-wrap: wrap; }
+  .day-toggle { padding: 7px 10px; border-radius: 8px; border: 1px solid var(--border); background: var(--surface2); color: var(--muted); cursor: pointer; font-size: 12px; font-weight: 600; transition: all 0.15s; }
+  .day-toggle.active { background: rgba(124,106,247,0.2); border-color: var(--accent); color: var(--text); }
 
   /* Charts page */
   .charts-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 20px; }
   .chart-card { background: var(--surface); border: 1px solid var(--border); border-radius: 16px; padding: 24px; }
+  .chart-empty { height: 200px; display: flex; align-items: center; justify-content: center; color: var(--muted); font-size: 13px; }
   .chart-title { font-family: 'Syne', sans-serif; font-size: 15px; font-weight: 700; margin-bottom: 20px; }
 
   /* AI suggestions section */
   .suggest-list { list-style: none; }
   .suggest-item { display: flex; align-items: center; gap: 12px; padding: 14px 24px; border-bottom: 1px solid var(--border); }
+  .score-toggle { display: flex; align-items: center; gap: 8px; background: none; border: none; color: var(--muted); font-size: 12px; font-variant-numeric: tabular-nums; cursor: pointer; padding: 4px; }
+  .score-bar { display: flex; width: 80px; height: 6px; border-radius: 3px; overflow: hidden; background: var(--surface2); }
+  .score-detail { flex-basis: 100%; margin: 4px 0 0 36px; padding: 10px 14px; background: var(--surface2); border-radius: 8px; font-size: 12px; }
+  .score-row { display: flex; align-items: center; gap: 10px; padding: 3px 0; }
+  .score-dot { width: 8px; height: 8px; border-radius: 50%; flex-shrink: 0; }
+  .score-label { width: 76px; font-weight: 600; }
+  .score-math { font-variant-numeric: tabular-nums; color: var(--muted); }
+  .score-math b { color: var(--text); }
+  .weight-row { display: flex; align-items: center; gap: 12px; margin-bottom: 10px; font-size: 13px; }
+  .weight-row input[type=range] { flex: 1; accent-color: var(--accent); }
+  .weight-row .score-math { width: 36px; text-align: right; }
+  .learned-bar { flex: 1; height: 8px; border-radius: 4px; background: var(--surface2); overflow: hidden; }
+  .learned-bar > div { height: 100%; border-radius: 4px; }
+  .rank-move { width: 40px; font-size: 11px; font-weight: 700; text-align: right; }
+  .rank-move.up { color: var(--low); }
+  .rank-move.down { color: var(--high); }
   .suggest-num { width: 24px; height: 24px; border-radius: 50%; background: linear-gradient(135deg, var(--accent), var(--accent3)); color: white; font-size: 11px; font-weight: 700; display: flex; align-items: center; justify-content: center; flex-shrink: 0; }
 
-  /* Responsive */
-  @media (max-width: 768px) {
-    .sidebar { display: none; }
+  /* Focus mode */
+  .focus-body { padding: 32px 24px; text-align: center; }
+  .focus-phase { margin-top: 24px; font-size: 12px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.1em; color: var(--muted); }
+  .focus-phase.work { color: var(--accent2); }
+  .focus-phase.break { color: var(--low); }
+  .focus-clock { font-family: 'Syne', sans-serif; font-size: 72px; font-weight: 800; font-variant-numeric: tabular-nums; margin: 8px 0 24px; }
+
+  /* Calendar */
+  .cal-toolbar { flex-wrap: wrap; gap: 12px; }
+  .section-header .data-option input { width: 52px; background: var(--surface2); border: 1px solid var(--border); color: var(--text); border-radius: 8px; padding: 5px 8px; font-size: 13px; }
+  .agenda-item { border-left: 3px solid var(--medium); }
+  .agenda-item.high { border-left-color: var(--high); }
+  .agenda-item.low { border-left-color: var(--low); }
+  .agenda-item.event { border-left-color: var(--muted); background: var(--surface2); }
+  .agenda-item.now { background: rgba(124,106,247,0.08); }
+  .agenda-item.now .agenda-time { color: var(--accent); font-weight: 700; }
+  .agenda-time { width: 96px; flex-shrink: 0; font-size: 12px; color: var(--muted); font-variant-numeric: tabular-nums; }
+  .agenda-day .cal-chip { max-width: 220px; cursor: default; }
+  .event-row { display: flex; align-items: center; gap: 10px; font-size: 13px; padding: 6px 0; }
+  .field .event-form input, .field .event-form select { width: auto; padding: 8px 10px; }
+  .field .event-form input:first-child { flex: 1; min-width: 160px; }
+  .cal-tray { display: flex; flex-wrap: wrap; align-items: center; gap: 6px; padding: 12px 24px; border-bottom: 1px solid var(--border); }
+  .cal-tray .cal-chip { max-width: 220px; }
+  .cal-month { display: grid; grid-template-columns: repeat(7, 1fr); }
+  .cal-dow { padding: 8px 10px; font-size: 11px; font-weight: 600; text-transform: uppercase; color: var(--muted); border-bottom: 1px solid var(--border); }
+  .cal-day { min-height: 104px; padding: 6px; border-right: 1px solid var(--border); border-bottom: 1px solid var(--border); display: flex; flex-direction: column; gap: 3px; min-width: 0; }
+  .cal-day:nth-child(7n) { border-right: none; }
+  .cal-day.other { opacity: 0.45; }
+  .cal-day.today .cal-day-num { background: var(--accent); color: #fff; }
+  .cal-day.overbooked { background: rgba(239,68,68,0.06); }
+  .cal-day.overbooked .cal-load { color: var(--high); }
+  .cal-day.drop { outline: 2px solid var(--accent); outline-offset: -2px; }
+  .cal-day-head { display: flex; justify-content: space-between; align-items: center; }
+  .cal-day-num { background: none; border: none; color: var(--text); font-size: 12px; font-weight: 600; padding: 2px 7px; border-radius: 20px; cursor: pointer; }
+  .cal-day-num:hover { background: var(--surface2); }
+  .cal-load { font-size: 11px; color: var(--muted); }
+  .cal-load.over { color: var(--high); font-weight: 600; }
+  .cal-chip { font-size: 11px; padding: 3px 6px; border-radius: 6px; background: var(--surface2); border-left: 3px solid var(--medium); white-space: nowrap; overflow: hidden; text-overflow: ellipsis; cursor: grab; }
+  .cal-chip.high, .cal-block.high { border-left-color: var(--high); }
+  .cal-chip.low, .cal-block.low { border-left-color: var(--low); }
+  .cal-chip.done, .cal-block.done { opacity: 0.5; text-decoration: line-through; cursor: default; }
+  .cal-chip-time { color: var(--muted); }
+  .cal-more { background: none; border: none; color: var(--accent); font-size: 11px; text-align: left; cursor: pointer; padding: 2px 6px; }
+  .cal-week-head { display: grid; border-bottom: 1px solid var(--border); }
+  .cal-col-head { padding: 8px 10px; border-left: 1px solid var(--border); }
+  .cal-col-head.today .cal-day-num { color: var(--accent); }
+  .cal-load-bar { height: 4px; background: var(--surface2); border-radius: 2px; margin-top: 4px; overflow: hidden; }
+  .cal-load-bar > div { height: 100%; background: var(--low); }
+  .cal-load-bar > div.over { background: var(--high); }
+  .cal-grid { max-height: 620px; overflow-y: auto; }
+  .cal-grid-inner { display: grid; position: relative; }
+  .cal-gutter div { font-size: 11px; color: var(--muted); text-align: right; padding-right: 8px; transform: translateY(-7px); }
+  .cal-col { position: relative; border-left: 1px solid var(--border); background-image: linear-gradient(var(--border) 1px, transparent 1px); background-size: 100% ${HOUR_PX}px; }
+  .cal-work { position: absolute; left: 0; right: 0; background: rgba(124,106,247,0.05); pointer-events: none; }
+  .cal-block { position: absolute; padding: 3px 6px; font-size: 11px; background: var(--surface2); border: 1px solid var(--border); border-left: 3px solid var(--medium); border-radius: 6px; overflow: hidden; cursor: grab; box-sizing: border-box; }
+  .cal-block.unestimated { border-style: dashed; border-left-style: solid; }
+  .cal-block.dragging { opacity: 0.4; }
+  .cal-block-title { font-weight: 600; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+  .cal-block-time { color: var(--muted); }
+  .cal-ghost { position: absolute; left: 2px; right: 2px; border: 2px dashed var(--accent); border-radius: 6px; background: rgba(124,106,247,0.1); font-size: 11px; color: var(--accent); padding: 2px 6px; pointer-events: none; }
+
+  /* Import & export */
+  .badge-muted { background: var(--surface2); color: var(--muted); }
+  .data-actions { display: flex; flex-wrap: wrap; align-items: center; gap: 10px; padding: 20px 24px; }
+  .data-actions input[type=file] { font-size: 13px; color: var(--muted); }
+  .data-option { display: flex; align-items: center; gap: 8px; font-size: 13px; color: var(--muted); }
+  .data-option select { background: var(--surface2); border: 1px solid var(--border); color: var(--text); border-radius: 8px; padding: 6px 10px; font-size: 13px; }
+  .mapping-grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 0 16px; padding: 0 24px 8px; }
+  .import-summary { display: flex; flex-wrap: wrap; align-items: center; gap: 8px; padding: 12px 24px; border-top: 1px solid var(--border); font-size: 13px; }
+  .import-preview { max-height: 360px; overflow-y: auto; border-top: 1px solid var(--border); border-bottom: 1px solid var(--border); }
+  .import-row { display: flex; align-items: center; gap: 12px; padding: 10px 24px; border-bottom: 1px solid var(--border); font-size: 13px; }
+  .import-row:last-child { border-bottom: none; }
+  .import-report { margin: 0 24px 16px; padding: 12px 14px; font-size: 13px; line-height: 1.6; color: var(--medium); background: rgba(245,158,11,0.08); border: 1px solid rgba(245,158,11,0.2); border-radius: 8px; }
+  .import-title { flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+
+  /* Settings & encryption */
+  .settings-body { padding: 20px 24px 24px; max-width: 520px; }
+  .settings-note { color: var(--muted); font-size: 13px; line-height: 1.6; margin-bottom: 8px; }
+  .ok { color: var(--low); font-size: 13px; margin-top: 8px; background: rgba(16,185,129,0.1); padding: 10px 14px; border-radius: 8px; border: 1px solid rgba(16,185,129,0.2); }
+  .recovery-key { margin-top: 12px; padding: 14px; background: var(--surface2); border: 1px dashed var(--border); border-radius: 10px; }
+  .recovery-key code { font-size: 13px; word-break: break-all; user-select: all; }
+  .auth-notice { font-size: 13px; color: var(--medium); background: rgba(245,158,11,0.1); border: 1px solid rgba(245,158,11,0.25); padding: 10px 14px; border-radius: 8px; margin: -16px 0 20px; }
+  .link-btn { background: none; border: none; padding: 0; color: var(--accent); cursor: pointer; font-size: inherit; }
+
+  /* Responsive */
+  @media (max-width: 768px) {
+    .sidebar { display: none; }
     .main { margin-left: 0; }
     .stats-row { grid-template-columns: 1fr 1fr; }
     .charts-grid { grid-template-columns: 1fr; }
@@ -243,35 +2297,39 @@ const Icon = {
   Edit: () => <svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" strokeWidth="2"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/></svg>,
   Trash: () => <svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" strokeWidth="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/></svg>,
   Dashboard: () => <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" strokeWidth="2"><rect x="3" y="3" width="7" height="7"/><rect x="14" y="3" width="7" height="7"/><rect x="14" y="14" width="7" height="7"/><rect x="3" y="14" width="7" height="7"/></svg>,
+  Today: () => <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" strokeWidth="2"><line x1="8" y1="6" x2="21" y2="6"/><line x1="8" y1="12" x2="21" y2="12"/><line x1="8" y1="18" x2="21" y2="18"/><circle cx="4" cy="6" r="1"/><circle cx="4" cy="12" r="1"/><circle cx="4" cy="18" r="1"/></svg>,
+  Calendar: () => <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" strokeWidth="2"><rect x="3" y="4" width="18" height="18" rx="2"/><line x1="16" y1="2" x2="16" y2="6"/><line x1="8" y1="2" x2="8" y2="6"/><line x1="3" y1="10" x2="21" y2="10"/></svg>,
   Chart: () => <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" strokeWidth="2"><polyline points="22 12 18 12 15 21 9 3 6 12 2 12"/></svg>,
   AI: () => <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" strokeWidth="2"><circle cx="12" cy="12" r="10"/><path d="M12 8v4l3 3"/></svg>,
+  Focus: () => <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" strokeWidth="2"><circle cx="12" cy="13" r="8"/><path d="M12 9v4l2 2"/><path d="M9 2h6"/></svg>,
+  Data: () => <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" strokeWidth="2"><ellipse cx="12" cy="5" rx="9" ry="3"/><path d="M21 12c0 1.66-4 3-9 3s-9-1.34-9-3"/><path d="M3 5v14c0 1.66 4 3 9 3s9-1.34 9-3V5"/></svg>,
+  Team: () => <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" strokeWidth="2"><path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/><circle cx="9" cy="7" r="4"/><path d="M23 21v-2a4 4 0 0 0-3-3.87"/><path d="M16 3.13a4 4 0 0 1 0 7.75"/></svg>,
+  Settings: () => <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" strokeWidth="2"><circle cx="12" cy="12" r="3"/><path d="M19.4 15a1.65 1.65 0 0 0 .33 1.82l.06.06a2 2 0 1 1-2.83 2.83l-.06-.06a1.65 1.65 0 0 0-1.82-.33 1.65 1.65 0 0 0-1 1.51V21a2 2 0 1 1-4 0v-.09A1.65 1.65 0 0 0 9 19.4a1.65 1.65 0 0 0-1.82.33l-.06.06a2 2 0 1 1-2.83-2.83l.06-.06A1.65 1.65 0 0 0 4.6 15a1.65 1.65 0 0 0-1.51-1H3a2 2 0 1 1 0-4h.09A1.65 1.65 0 0 0 4.6 9a1.65 1.65 0 0 0-.33-1.82l-.06-.06a2 2 0 1 1 2.83-2.83l.06.06A1.65 1.65 0 0 0 9 4.6a1.65 1.65 0 0 0 1-1.51V3a2 2 0 1 1 4 0v.09a1.65 1.65 0 0 0 1 1.51 1.65 1.65 0 0 0 1.82-.33l.06-.06a2 2 0 1 1 2.83 2.83l-.06.06A1.65 1.65 0 0 0 19.4 9a1.65 1.65 0 0 0 1.51 1H21a2 2 0 1 1 0 4h-.09a1.65 1.65 0 0 0-1.51 1z"/></svg>,
   Logout: () => <svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" strokeWidth="2"><path d="M9 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h4"/><polyline points="16 17 21 12 16 7"/><line x1="21" y1="12" x2="9" y2="12"/></svg>,
 };
 
 // ─── Auth Page ────────────────────────────────────────────────────────────────
-function AuthPage({ onLogin }) {
+function AuthPage({ onLogin, notice }) {
   const [tab, setTab] = useState("login");
   const [name, setName] = useState("");
   const [email, setEmail] = useState("");
   const [pass, setPass] = useState("");
+  const [recoveryKey, setRecoveryKey] = useState("");
   const [err, setErr] = useState("");
 
-  const handleSubmit = () => {
+  const handleSubmit = async () => {
     setErr("");
     if (!email || !pass) return setErr("Please fill in all fields.");
-    const users = DB.getUsers();
-    if (tab === "register") {
-      if (!name) return setErr("Name is required.");
-      if (users.find(u => u.email === email)) return setErr("Email already registered.");
-      const user = { id: Date.now().toString(), name, email, pass, createdAt: new Date().toISOString() };
-      DB.saveUsers([...users, user]);
-      DB.saveSession(user);
-      onLogin(user);
-    } else {
-      const user = users.find(u => u.email === email && u.pass === pass);
-      if (!user) return setErr("Invalid email or password.");
-      DB.saveSession(user);
+    if (tab === "register" && !name) return setErr("Name is required.");
+    if (tab === "recover" && !recoveryKey.trim()) return setErr("Paste the recovery key you saved.");
+    try {
+      const user = tab === "register" ? await DB.register({ name, email, pass })
+        : tab === "recover" ? await DB.recoverAccount(email, recoveryKey, pass)
+        : await DB.login(email, pass);
+      await DB.saveSession(user);
       onLogin(user);
+    } catch (e) {
+      setErr(e.message);
     }
   };
 
@@ -280,6 +2338,7 @@ function AuthPage({ onLogin }) {
       <div className="auth-card">
         <div className="auth-logo">⚡ TaskFlow AI</div>
         <div className="auth-subtitle">Your smart productivity companion</div>
+        {notice && <div className="auth-notice">{notice}</div>}
         <div className="auth-tabs">
           <button className={`auth-tab ${tab === "login" ? "active" : ""}`} onClick={() => setTab("login")}>Sign In</button>
           <button className={`auth-tab ${tab === "register" ? "active" : ""}`} onClick={() => setTab("register")}>Register</button>
@@ -288,111 +2347,779 @@ function AuthPage({ onLogin }) {
           <div className="field"><label>Full Name</label><input value={name} onChange={e => setName(e.target.value)} placeholder="Jane Doe" /></div>
         )}
         <div className="field"><label>Email Address</label><input type="email" value={email} onChange={e => setEmail(e.target.value)} placeholder="jane@example.com" /></div>
-        <div className="field"><label>Password</label><input type="password" value={pass} onChange={e => setPass(e.target.value)} placeholder="••••••••" onKeyDown={e => e.key === "Enter" && handleSubmit()} /></div>
+        {tab === "recover" && (
+          <div className="field"><label>Recovery Key</label><input value={recoveryKey} onChange={e => setRecoveryKey(e.target.value)} placeholder="xxxxxxxx-xxxxxxxx-…" /></div>
+        )}
+        <div className="field"><label>{tab === "recover" ? "New Password" : "Password"}</label><input type="password" value={pass} onChange={e => setPass(e.target.value)} placeholder="••••••••" onKeyDown={e => e.key === "Enter" && handleSubmit()} /></div>
         {err && <div className="err">{err}</div>}
         <button className="btn btn-primary" style={{ marginTop: 20 }} onClick={handleSubmit}>
-          {tab === "login" ? "Sign In →" : "Create Account →"}
+          {tab === "login" ? "Sign In →" : tab === "recover" ? "Reset Password & Unlock →" : "Create Account →"}
         </button>
         {tab === "login" && (
           <p style={{ textAlign: "center", marginTop: 16, fontSize: 13, color: "var(--muted)" }}>
             Demo: <strong>demo@task.com</strong> / <strong>demo123</strong>
           </p>
         )}
+        {DB.mode === "local" && (
+          <p style={{ textAlign: "center", marginTop: 8, fontSize: 12 }}>
+            <button className="link-btn" onClick={() => { setErr(""); setTab(tab === "recover" ? "login" : "recover"); }}>
+              {tab === "recover" ? "← Back to sign in" : "Forgot password? Use your recovery key"}
+            </button>
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ─── Comments & activity (UI) ─────────────────────────────────────────────────
+// A safe subset of Markdown: **bold**, *italic*, `code`, [links](https://…), bare URLs and @mentions inline;
+// paragraphs, - / 1. lists, > quotes and ``` code blocks. It only ever builds React elements — no HTML passes through.
+const MD_INLINE = /`(?<code>[^`]+)`|\*\*(?<bold>.+?)\*\*|\*(?<em>[^\s*](?:.*?[^\s*])?)\*|(?<!\w)_(?<em2>[^\s_](?:.*?[^\s_])?)_(?!\w)|\[(?<label>[^\]]+)\]\((?<href>https?:\/\/[^\s)]+)\)|(?<url>https?:\/\/[^\s<]*[^\s<.,;:!?)])|(?<![\w@])@(?<handle>[\w.-]*\w)/g;
+const MD_BLOCK = /^(```|>|\s*[-*] |\s*\d+[.)] )/;
+
+const mdInline = (text, members, key = "") => {
+  const out = [];
+  let last = 0;
+  for (const m of text.matchAll(MD_INLINE)) {
+    const g = m.groups;
+    const k = `${key}${m.index}`;
+    if (m.index > last) out.push(text.slice(last, m.index));
+    last = m.index + m[0].length;
+    if (g.code) out.push(<code key={k}>{g.code}</code>);
+    else if (g.bold) out.push(<strong key={k}>{mdInline(g.bold, members, `${k}-`)}</strong>);
+    else if (g.em || g.em2) out.push(<em key={k}>{mdInline(g.em || g.em2, members, `${k}-`)}</em>);
+    else if (g.href) out.push(<a key={k} href={g.href} target="_blank" rel="noopener noreferrer">{g.label}</a>);
+    else if (g.url) out.push(<a key={k} href={g.url} target="_blank" rel="noopener noreferrer">{g.url}</a>);
+    else {
+      const member = members?.find(x => mentionHandle(x) === g.handle.toLowerCase());
+      out.push(member ? <span key={k} className="mention" title={member.email}>@{member.name}</span> : m[0]);
+    }
+  }
+  if (last < text.length) out.push(text.slice(last));
+  return out;
+};
+
+function Markdown({ text, members }) {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+  for (let i = 0; i < lines.length;) {
+    const line = lines[i];
+    if (line.startsWith("```")) {
+      const end = lines.findIndex((l, j) => j > i && l.startsWith("```"));
+      blocks.push(<pre key={blocks.length}><code>{lines.slice(i + 1, end < 0 ? lines.length : end).join("\n")}</code></pre>);
+      i = end < 0 ? lines.length : end + 1;
+    } else if (/^\s*([-*]|\d+[.)]) /.test(line)) {
+      const item = /^\s*\d/.test(line) ? /^\s*\d+[.)] / : /^\s*[-*] /;
+      const List = /^\s*\d/.test(line) ? "ol" : "ul";
+      const items = [];
+      while (i < lines.length && item.test(lines[i])) items.push(lines[i++].replace(item, ""));
+      blocks.push(<List key={blocks.length}>{items.map((x, j) => <li key={j}>{mdInline(x, members)}</li>)}</List>);
+    } else if (line.startsWith(">")) {
+      const quote = [];
+      while (i < lines.length && lines[i].startsWith(">")) quote.push(lines[i++].replace(/^>\s?/, ""));
+      blocks.push(<blockquote key={blocks.length}>{mdInline(quote.join("\n"), members)}</blockquote>);
+    } else if (!line.trim()) {
+      i++;
+    } else {
+      const para = [];
+      while (i < lines.length && lines[i].trim() && (!para.length || !MD_BLOCK.test(lines[i]))) para.push(lines[i++]);
+      blocks.push(<p key={blocks.length}>{para.flatMap((l, j) => [...(j ? [<br key={`br${j}`} />] : []), ...mdInline(l, members, `${j}-`)])}</p>);
+    }
+  }
+  return <div className="md">{blocks}</div>;
+}
+
+// Typing "@" followed by a few letters offers matching members; picking one completes their handle.
+function CommentBox({ members, placeholder, autoFocus, onPost, onCancel }) {
+  const [body, setBody] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const partial = members && body.match(/(?<![\w@])@([\w.-]*)$/)?.[1];
+  const matches = partial == null ? [] : members.filter(m => mentionHandle(m).startsWith(partial.toLowerCase()) || m.name.toLowerCase().startsWith(partial.toLowerCase())).slice(0, 5);
+
+  const post = async () => {
+    if (!body.trim() || busy) return;
+    setBusy(true);
+    setErr("");
+    try {
+      await onPost(body.trim());
+      setBody("");
+    } catch (e) {
+      setErr(e.message);
+    }
+    setBusy(false);
+  };
+
+  return (
+    <div className="comment-box">
+      <textarea
+        value={body}
+        autoFocus={autoFocus}
+        rows={3}
+        onChange={e => setBody(e.target.value)}
+        onKeyDown={e => { if (e.key === "Enter" && (e.metaKey || e.ctrlKey)) post(); if (e.key === "Escape" && onCancel) onCancel(); }}
+        placeholder={placeholder}
+      />
+      {matches.length > 0 && (
+        <div className="mention-menu">
+          {matches.map(m => (
+            <button key={m.userId} onClick={() => setBody(b => b.replace(/@[\w.-]*$/, `@${mentionHandle(m)} `))}>
+              <strong>{m.name}</strong> @{mentionHandle(m)}
+            </button>
+          ))}
+        </div>
+      )}
+      {err && <div className="err">{err}</div>}
+      <div className="comment-box-footer">
+        <span className="settings-note">**bold** *italic* `code` - lists [link](https://…){members && " · @ to mention"} · Ctrl+Enter to post</span>
+        {onCancel && <button className="btn btn-ghost btn-sm" onClick={onCancel}>Cancel</button>}
+        <button className="btn btn-primary btn-sm" style={{ width: "auto" }} disabled={busy || !body.trim()} onClick={post}>Post</button>
+      </div>
+    </div>
+  );
+}
+
+function CommentThread({ comments, userId, members, onAdd, onDelete }) {
+  const [replyTo, setReplyTo] = useState(null);
+  const [err, setErr] = useState("");
+  const repliesTo = (parentId) => comments.filter(c => (c.parentId || null) === parentId).sort((a, b) => a.at.localeCompare(b.at));
+  const remove = async (id) => {
+    setErr("");
+    try { await onDelete(id); } catch (e) { setErr(e.message); }
+  };
+
+  const thread = (parentId) => repliesTo(parentId).map(c => (
+    <div key={c.id} className="comment">
+      <div className="comment-head">
+        <div className="avatar" style={{ width: 24, height: 24, fontSize: 11 }}>{c.byName[0]?.toUpperCase()}</div>
+        <strong>{c.byName}</strong>
+        <span className="comment-time" title={new Date(c.at).toLocaleString()}>{timeAgo(c.at)}</span>
       </div>
+      {c.deleted ? <div className="comment-deleted">Comment deleted</div> : <Markdown text={c.body} members={members} />}
+      {!c.deleted && (
+        <div className="comment-actions">
+          <button onClick={() => setReplyTo(replyTo === c.id ? null : c.id)}>Reply</button>
+          {c.by === userId && <button onClick={() => remove(c.id)}>Delete</button>}
+        </div>
+      )}
+      {replyTo === c.id && (
+        <CommentBox members={members} autoFocus placeholder={`Reply to ${c.byName}…`} onCancel={() => setReplyTo(null)}
+          onPost={async body => { await onAdd(body, c.id); setReplyTo(null); }} />
+      )}
+      {repliesTo(c.id).length > 0 && <div className="comment-replies">{thread(c.id)}</div>}
+    </div>
+  ));
+
+  return (
+    <div>
+      {comments.length === 0 && <div className="settings-note" style={{ marginBottom: 16 }}>No comments yet — start the discussion here instead of in chat.</div>}
+      {thread(null)}
+      {err && <div className="err">{err}</div>}
+      <CommentBox members={members} placeholder="Write a comment…" onPost={body => onAdd(body, null)} />
     </div>
   );
 }
 
+const ACTIVITY_VERBS = {
+  created: "created the task", updated: "changed", completed: "completed the task", reopened: "reopened the task",
+  deleted: "moved the task to Trash", restored: "restored the task from Trash", purged: "deleted the task permanently",
+};
+
+// Logged values are raw task fields; this shows them the way TaskModal does.
+const activityValue = (field, v, { tasks, projects, members, columns }) => {
+  if (v === null) return "none";
+  switch (field) {
+    case "deadline": return new Date(v).toLocaleString([], { dateStyle: "medium", timeStyle: "short" });
+    case "estimatedTime": return `${v}h`;
+    case "status": return columns?.find(c => c.id === v)?.name || v;
+    case "project": return projects.find(p => p.id === v)?.name || "a deleted project";
+    case "assignee": return members?.find(m => m.userId === v)?.name || "a former member";
+    case "tags": return v.map(t => `#${t}`).join(" ");
+    case "recurrence": return Recurrence.describe(v);
+    case "subtasks": return `${v.filter(x => x.done).length}/${v.length} steps done`;
+    case "blockedBy": return v.map(id => tasks.find(t => t.id === id)?.title || "a deleted task").join(", ");
+    default:
+      if (Array.isArray(v)) return `${v.length} item${v.length === 1 ? "" : "s"}`;
+      if (typeof v === "boolean") return v ? "yes" : "no";
+      return String(v).length > 80 ? `${String(v).slice(0, 80)}…` : String(v);
+  }
+};
+
+function ActivityLog({ entries, context }) {
+  if (!entries.length) return <div className="settings-note">No changes recorded yet.</div>;
+  return (
+    <ul className="activity-list">
+      {[...entries].reverse().map(e => (
+        <li key={e.id}>
+          <div>
+            <strong>{e.byName}</strong> {ACTIVITY_VERBS[e.action]}{" "}
+            <span className="comment-time" title={new Date(e.at).toLocaleString()}>{timeAgo(e.at)}</span>
+          </div>
+          {e.changes.filter(c => c.field !== "completed").map(c => (
+            <div key={c.field} className="activity-change">
+              {ACTIVITY_FIELDS[c.field]}: <del>{activityValue(c.field, c.from, context)}</del> → <ins>{activityValue(c.field, c.to, context)}</ins>
+            </div>
+          ))}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
 // ─── Task Modal ───────────────────────────────────────────────────────────────
-function TaskModal({ task, onSave, onClose }) {
+// Editing an existing task adds Comments and Activity tabs — its detail view.
+// defaultAssignee preselects who a new team task goes to ("My tasks" → the current user).
+function TaskModal({ task, tasks, projects, members, columns, userId, defaultAssignee = "", comments = [], activity = [], initialTab = "details", readOnly, onCreateProject, onSave, onComment, onDeleteComment, onClose }) {
+  const [tab, setTab] = useState(task ? initialTab : "details");
   const [title, setTitle] = useState(task?.title || "");
   const [desc, setDesc] = useState(task?.description || "");
   const [priority, setPriority] = useState(task?.priority || "medium");
   const [deadline, setDeadline] = useState(task?.deadline || "");
   const [estimatedTime, setEstimatedTime] = useState(task?.estimatedTime || "");
+  const rule = task?.recurrence;
+  const [repeat, setRepeat] = useState(rule?.freq || "");
+  const [every, setEvery] = useState(rule?.interval || 1);
+  const [byDay, setByDay] = useState(rule?.freq === "weekly" ? rule.byDay : []);
+  const [monthlyBy, setMonthlyBy] = useState(rule?.monthlyBy || "date");
+  const [ends, setEnds] = useState(rule?.count ? "count" : rule?.until ? "until" : "never");
+  const [until, setUntil] = useState(rule?.until || "");
+  const [count, setCount] = useState(rule?.count || 5);
+  const [subtasks, setSubtasks] = useState(task?.subtasks || []);
+  const [newSub, setNewSub] = useState("");
+  const [blockedBy, setBlockedBy] = useState(task?.blockedBy || []);
+  const [project, setProject] = useState(task?.project || "");
+  const [projectName, setProjectName] = useState("");
+  const [projectColor, setProjectColor] = useState(LABEL_COLORS[projects.length % LABEL_COLORS.length]);
+  const [tags, setTags] = useState(task?.tags || []);
+  const [tagInput, setTagInput] = useState("");
+  const [entries, setEntries] = useState(task?.timeEntries || []);
+  const [assignee, setAssignee] = useState(task ? task.assignee || "" : defaultAssignee);
+  const [err, setErr] = useState("");
+  const taskComments = task ? comments.filter(c => c.taskId === task.id) : [];
+
+  const addSub = () => {
+    if (!newSub.trim()) return;
+    setSubtasks(list => [...list, { id: Date.now().toString(), title: newSub.trim(), done: false, estimatedTime: 0 }]);
+    setNewSub("");
+  };
+  const addTag = () => {
+    const tag = tagInput.trim().replace(/^#/, "");
+    if (tag && !tags.includes(tag)) setTags(list => [...list, tag]);
+    setTagInput("");
+  };
+  const addEntry = () => {
+    const end = new Date();
+    setEntries(list => [...list, { id: Date.now().toString(), start: new Date(end - 3600000).toISOString(), end: end.toISOString() }]);
+  };
+  const editEntry = (id, key, value) => setEntries(list => list.map(e => e.id === id ? { ...e, [key]: value ? new Date(value).toISOString() : null } : e));
+  const editSub = (id, patch) => setSubtasks(list => list.map(s => s.id === id ? { ...s, ...patch } : s));
+
+  const anchor = deadline ? new Date(deadline) : null;
+  const nth = anchor ? Math.ceil(anchor.getDate() / 7) : 1;
+  const toggleDay = (d) => setByDay(days => days.includes(d) ? days.filter(x => x !== d) : [...days, d].sort());
 
   const handleSave = () => {
+    setErr("");
     if (!title.trim()) return;
-    onSave({ title: title.trim(), description: desc, priority, deadline, estimatedTime: Number(estimatedTime) || 0 });
+    if (repeat && !deadline) return setErr("Recurring tasks need a deadline to repeat from.");
+    const cycle = task && findCycle(tasks, task.id, blockedBy);
+    if (cycle) return setErr(`Circular dependency: ${cycle.map(id => id === task.id ? title.trim() : tasks.find(t => t.id === id)?.title).join(" → ")}`);
+    const recurrence = Recurrence.normalize(repeat && {
+      freq: repeat, interval: every, byDay, monthlyBy,
+      until: ends === "until" ? until : "", count: ends === "count" ? count : 0,
+    }, deadline);
+    if (entries.some(e => e.end && new Date(e.end) <= new Date(e.start))) return setErr("A time entry ends before it starts.");
+    if (entries.filter(e => !e.end).length > 1) return setErr("Only one time entry can be left running.");
+    if (project === "__new" && !projectName.trim()) return setErr("Give the new project a name.");
+    const projectId = project === "__new" ? onCreateProject({ name: projectName.trim(), color: projectColor }).id : project;
+    const steps = subtasks.filter(s => s.title.trim()).map(s => ({ ...s, title: s.title.trim(), estimatedTime: Number(s.estimatedTime) || 0 }));
+    onSave({ title: title.trim(), description: desc, priority, deadline, estimatedTime: Number(estimatedTime) || 0, recurrence, subtasks: steps, blockedBy, project: projectId, tags, timeEntries: entries, ...(members && { assignee }) });
   };
 
   return (
     <div className="modal-overlay" onClick={e => e.target === e.currentTarget && onClose()}>
       <div className="modal">
-        <div className="modal-title">{task ? "Edit Task" : "New Task"}</div>
-        <div className="field"><label>Task Title *</label><input value={title} onChange={e => setTitle(e.target.value)} placeholder="What needs to be done?" /></div>
-        <div className="field"><label>Description</label><textarea value={desc} onChange={e => setDesc(e.target.value)} placeholder="Add details..." rows={3} /></div>
-        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16 }}>
-          <div className="field">
-            <label>Priority</label>
-            <select value={priority} onChange={e => setPriority(e.target.value)}>
-              <option value="high">🔴 High</option>
-              <option value="medium">🟡 Medium</option>
-              <option value="low">🟢 Low</option>
-            </select>
-          </div>
-          <div className="field">
-            <label>Est. Hours</label>
-            <input type="number" min="0" value={estimatedTime} onChange={e => setEstimatedTime(e.target.value)} placeholder="e.g. 2" />
+        <div className="modal-title">{!task ? "New Task" : readOnly ? task.title : "Edit Task"}</div>
+        {task && (
+          <div className="modal-tabs">
+            {[["details", "Details"], ["comments", `Comments (${taskComments.length})`], ["activity", "Activity"]].map(([id, label]) => (
+              <button key={id} className={tab === id ? "active" : ""} onClick={() => setTab(id)}>{label}</button>
+            ))}
           </div>
+        )}
+        {tab === "comments" && (
+          <CommentThread comments={taskComments} userId={userId} members={members}
+            onAdd={(body, parentId) => onComment(task.id, body, parentId)} onDelete={onDeleteComment} />
+        )}
+        {tab === "activity" && <ActivityLog entries={activity.filter(e => e.taskId === task.id)} context={{ tasks, projects, members, columns }} />}
+        {tab === "details" && (
+          <>
+            <div className="field"><label>Task Title *</label><input value={title} onChange={e => setTitle(e.target.value)} placeholder="What needs to be done?" /></div>
+            <div className="field"><label>Description</label><textarea value={desc} onChange={e => setDesc(e.target.value)} placeholder="Add details..." rows={3} /></div>
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16 }}>
+              <div className="field">
+                <label>Priority</label>
+                <select value={priority} onChange={e => setPriority(e.target.value)}>
+                  <option value="high">🔴 High</option>
+                  <option value="medium">🟡 Medium</option>
+                  <option value="low">🟢 Low</option>
+                </select>
+              </div>
+              <div className="field">
+                <label>Est. Hours</label>
+                <input type="number" min="0" value={estimatedTime} onChange={e => setEstimatedTime(e.target.value)} placeholder="e.g. 2" />
+              </div>
+            </div>
+            <div className="field">
+              <label>Project</label>
+              <select value={project} onChange={e => setProject(e.target.value)}>
+                <option value="">No project</option>
+                {projects.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                <option value="__new">+ New project…</option>
+              </select>
+            </div>
+            {project === "__new" && (
+              <div className="field" style={{ display: "flex", gap: 8 }}>
+                <input value={projectName} onChange={e => setProjectName(e.target.value)} placeholder="Project name" />
+                <input type="color" className="color-input" value={projectColor} onChange={e => setProjectColor(e.target.value)} />
+              </div>
+            )}
+            {members && (
+              <div className="field">
+                <label>Assignee</label>
+                <select value={assignee} onChange={e => setAssignee(e.target.value)}>
+                  <option value="">Unassigned</option>
+                  {members.map(m => <option key={m.userId} value={m.userId}>{m.name}</option>)}
+                </select>
+              </div>
+            )}
+            <div className="field">
+              <label>Tags</label>
+              {tags.length > 0 && (
+                <div className="chip-list">
+                  {tags.map(tag => (
+                    <span key={tag} className="chip" style={{ borderColor: tagColor(tag), color: tagColor(tag) }}>
+                      #{tag}
+                      <button onClick={() => setTags(list => list.filter(x => x !== tag))}>×</button>
+                    </span>
+                  ))}
+                </div>
+              )}
+              <input value={tagInput} onChange={e => setTagInput(e.target.value)} onKeyDown={e => (e.key === "Enter" || e.key === ",") && (e.preventDefault(), addTag())} onBlur={addTag} placeholder="Type a tag and press Enter" />
+            </div>
+            <div className="field"><label>Deadline</label><input type="datetime-local" value={deadline} onChange={e => setDeadline(e.target.value)} /></div>
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16 }}>
+              <div className="field">
+                <label>Repeat</label>
+                <select value={repeat} onChange={e => setRepeat(e.target.value)}>
+                  <option value="">Does not repeat</option>
+                  <option value="daily">Daily</option>
+                  <option value="weekly">Weekly</option>
+                  <option value="monthly">Monthly</option>
+                </select>
+              </div>
+              {repeat && (
+                <div className="field">
+                  <label>Every</label>
+                  <input type="number" min="1" value={every} onChange={e => setEvery(e.target.value)} />
+                </div>
+              )}
+            </div>
+            {repeat === "weekly" && (
+              <div className="field">
+                <label>On</label>
+                <div className="day-picker">
+                  {WEEKDAYS.map((d, i) => (
+                    <button key={d} type="button" className={`day-toggle ${byDay.includes(i) ? "active" : ""}`} onClick={() => toggleDay(i)}>{d}</button>
+                  ))}
+                </div>
+              </div>
+            )}
+            {repeat === "monthly" && (
+              <div className="field">
+                <label>On</label>
+                <select value={monthlyBy} onChange={e => setMonthlyBy(e.target.value)}>
+                  <option value="date">{anchor ? `Day ${anchor.getDate()} of the month` : "Same date each month"}</option>
+                  <option value="nth">{anchor ? `The ${ORDINALS[nth === 5 ? -1 : nth]} ${WEEKDAYS[anchor.getDay()]}` : "Same weekday each month"}</option>
+                </select>
+              </div>
+            )}
+            {repeat && (
+              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16 }}>
+                <div className="field">
+                  <label>Ends</label>
+                  <select value={ends} onChange={e => setEnds(e.target.value)}>
+                    <option value="never">Never</option>
+                    <option value="until">On date</option>
+                    <option value="count">After N times</option>
+                  </select>
+                </div>
+                {ends === "until" && <div className="field"><label>End Date</label><input type="date" value={until} onChange={e => setUntil(e.target.value)} /></div>}
+                {ends === "count" && <div className="field"><label>Occurrences</label><input type="number" min="1" value={count} onChange={e => setCount(e.target.value)} /></div>}
+              </div>
+            )}
+            <div className="field">
+              <label>Subtasks</label>
+              {subtasks.map(s => (
+                <div key={s.id} className="subtask-row">
+                  <div className={`task-check ${s.done ? "done" : ""}`} onClick={() => editSub(s.id, { done: !s.done })}>
+                    {s.done && <Icon.Check />}
+                  </div>
+                  <input value={s.title} onChange={e => editSub(s.id, { title: e.target.value })} />
+                  <input className="subtask-hours" type="number" min="0" step="0.5" value={s.estimatedTime || ""} onChange={e => editSub(s.id, { estimatedTime: e.target.value })} placeholder="h" />
+                  <button className="btn btn-ghost btn-sm" onClick={() => setSubtasks(list => list.filter(x => x.id !== s.id))}><Icon.Trash /></button>
+                </div>
+              ))}
+              <div className="subtask-row">
+                <input value={newSub} onChange={e => setNewSub(e.target.value)} onKeyDown={e => e.key === "Enter" && addSub()} placeholder="Add a step and press Enter" />
+                <button className="btn btn-ghost btn-sm" onClick={addSub}><Icon.Plus /></button>
+              </div>
+            </div>
+            <div className="field">
+              <label>Time Log {entries.length > 0 && `· ${formatDuration(trackedHours({ timeEntries: entries }))} tracked`}</label>
+              {entries.map(e => (
+                <div key={e.id} className="subtask-row">
+                  <input type="datetime-local" value={toLocalInput(new Date(e.start))} onChange={ev => ev.target.value && editEntry(e.id, "start", ev.target.value)} />
+                  <span style={{ color: "var(--muted)" }}>→</span>
+                  <input type="datetime-local" value={e.end ? toLocalInput(new Date(e.end)) : ""} onChange={ev => editEntry(e.id, "end", ev.target.value)} title="Leave empty while the timer is running" />
+                  <button className="btn btn-ghost btn-sm" onClick={() => setEntries(list => list.filter(x => x.id !== e.id))}><Icon.Trash /></button>
+                </div>
+              ))}
+              <button className="btn btn-ghost btn-sm" onClick={addEntry}><Icon.Plus /> Add time entry</button>
+            </div>
+            <div className="field">
+              <label>Blocked By</label>
+              {blockedBy.length > 0 && (
+                <div className="chip-list">
+                  {blockedBy.map(id => (
+                    <span key={id} className="chip">
+                      {tasks.find(t => t.id === id)?.title || "Deleted task"}
+                      <button onClick={() => setBlockedBy(list => list.filter(x => x !== id))}>×</button>
+                    </span>
+                  ))}
+                </div>
+              )}
+              <select value="" onChange={e => e.target.value && setBlockedBy(list => [...list, e.target.value])}>
+                <option value="">Add a task this one waits on…</option>
+                {tasks.filter(t => t.id !== task?.id && !blockedBy.includes(t.id) && !t.completed).map(t => (
+                  <option key={t.id} value={t.id}>{t.title}</option>
+                ))}
+              </select>
+            </div>
+            {err && <div className="err">{err}</div>}
+          </>
+        )}
+        <div className="modal-footer">
+          <button className="btn btn-ghost btn-sm" onClick={onClose}>{tab === "details" && !readOnly ? "Cancel" : "Close"}</button>
+          {tab === "details" && !readOnly && (
+            <button className="btn btn-primary btn-sm" style={{ width: "auto", padding: "10px 28px" }} onClick={handleSave}>
+              {task ? "Save Changes" : "Add Task"}
+            </button>
+          )}
         </div>
-        <div className="field"><label>Deadline</label><input type="datetime-local" value={deadline} onChange={e => setDeadline(e.target.value)} /></div>
+      </div>
+    </div>
+  );
+}
+
+// ─── Conflict Dialog ──────────────────────────────────────────────────────────
+// One edit that clashed with another tab's or teammate's (see applyTaskChanges). onResolve(task) saves that version,
+// onResolve(null) deletes the task, onResolve() takes theirs as it is.
+function ConflictDialog({ conflict, remaining, context, onResolve }) {
+  const { ours, theirs, merged, fields = [] } = conflict;
+  const [picks, setPicks] = useState({}); // field → true = mine; theirs otherwise
+  const title = (ours || theirs).title;
+  const show = (field, v) => activityValue(field, blankToNull(v) ?? null, context);
+  const keep = (mine) => onResolve(fields.reduce((t, f) => mine(f) ? { ...t, [f]: ours[f] } : t, merged));
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal">
+        <div className="modal-title">Edited in two places</div>
+        {!ours || !theirs ? (
+          <div className="settings-note">
+            {ours
+              ? <>“{title}” was deleted elsewhere while you were changing it here.</>
+              : <>You deleted “{title}” here, but it was changed elsewhere in the meantime.</>}
+          </div>
+        ) : (
+          <>
+            <div className="settings-note">“{title}” was changed elsewhere while you were editing it. Everything else was merged; pick a version of these:</div>
+            <div className="conflict-fields">
+              {fields.map(f => (
+                <div key={f} className="conflict-field">
+                  <div className="conflict-label">{ACTIVITY_FIELDS[f] || f}</div>
+                  <button className={`conflict-pick ${picks[f] ? "active" : ""}`} onClick={() => setPicks({ ...picks, [f]: true })}>
+                    <span>Mine</span>{show(f, ours[f])}
+                  </button>
+                  <button className={`conflict-pick ${picks[f] ? "" : "active"}`} onClick={() => setPicks({ ...picks, [f]: false })}>
+                    <span>Theirs</span>{show(f, theirs[f])}
+                  </button>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+        {remaining > 0 && <div className="settings-note">{remaining} more after this one.</div>}
         <div className="modal-footer">
-          <button className="btn btn-ghost btn-sm" onClick={onClose}>Cancel</button>
-          <button className="btn btn-primary btn-sm" style={{ width: "auto", padding: "10px 28px" }} onClick={handleSave}>
-            {task ? "Save Changes" : "Add Task"}
-          </button>
+          {!ours || !theirs ? (
+            <>
+              <button className="btn btn-ghost btn-sm" onClick={() => onResolve()}>{ours ? "Let it go" : "Keep their version"}</button>
+              <button className="btn btn-primary btn-sm" style={{ width: "auto" }} onClick={() => onResolve(ours)}>
+                {ours ? "Keep mine" : "Delete anyway"}
+              </button>
+            </>
+          ) : (
+            <>
+              <button className="btn btn-ghost btn-sm" onClick={() => keep(() => false)}>Keep all theirs</button>
+              <button className="btn btn-ghost btn-sm" onClick={() => keep(() => true)}>Keep all mine</button>
+              <button className="btn btn-primary btn-sm" style={{ width: "auto" }} onClick={() => keep(f => picks[f])}>Save Choices</button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ─── Kanban Board ─────────────────────────────────────────────────────────────
+// Cards whose status no longer matches a column (e.g. set on another device) are shown in Backlog.
+const columnOf = (t, columns) => t.completed ? DONE_STATUS : columns.some(c => c.id === t.status) ? t.status : NEW_STATUS;
+
+// Without onMove (viewers) the cards can't be dragged.
+function KanbanBoard({ tasks, allTasks, projects, columns, pending = [], onMove, onOpen, onSaveColumns }) {
+  const [dragId, setDragId] = useState(null);
+  const [dropAt, setDropAt] = useState(null); // { status, beforeId } — beforeId null = bottom of the column
+  const [editing, setEditing] = useState(false);
+  const [err, setErr] = useState("");
+
+  const cardsIn = (col) => tasks.filter(t => columnOf(t, columns) === col.id).sort(byOrder);
+
+  const drop = () => {
+    if (!dragId || !dropAt) return;
+    const col = columns.find(c => c.id === dropAt.status);
+    const task = tasks.find(t => t.id === dragId);
+    const count = cardsIn(col).filter(t => t.id !== dragId).length;
+    setDragId(null);
+    setDropAt(null);
+    if (dropAt.beforeId === dragId) return;
+    if (col.wip > 0 && columnOf(task, columns) !== col.id && count >= col.wip) {
+      return setErr(`"${col.name}" is at its WIP limit of ${col.wip} — finish something there first.`);
+    }
+    setErr("");
+    onMove(dragId, col.id, dropAt.beforeId);
+  };
+
+  // Pointer in the top half of a card drops before it, bottom half before the next one.
+  const overCard = (e, col, cards, i) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const r = e.currentTarget.getBoundingClientRect();
+    const beforeId = e.clientY < r.top + r.height / 2 ? cards[i].id : cards[i + 1]?.id || null;
+    if (dropAt?.status !== col.id || dropAt.beforeId !== beforeId) setDropAt({ status: col.id, beforeId });
+  };
+
+  const editColumn = (id, changes) => onSaveColumns(columns.map(c => c.id === id ? { ...c, ...changes } : c));
+  const shiftColumn = (i, by) => {
+    const list = [...columns];
+    [list[i], list[i + by]] = [list[i + by], list[i]];
+    onSaveColumns(list);
+  };
+  // Cards in a removed column go back to Backlog (onSaveColumns gets the ids to move).
+  const removeColumn = (id) => onSaveColumns(columns.filter(c => c.id !== id), id);
+  const addColumn = () => onSaveColumns([...columns.slice(0, -1), { id: `col${Date.now()}`, name: "New Column", wip: 0 }, ...columns.slice(-1)]);
+
+  return (
+    <div>
+      <div className="board-toolbar">
+        {err && <span className="board-err">{err}</span>}
+        <button className="btn btn-ghost btn-sm" onClick={() => setEditing(e => !e)}>{editing ? "Done Editing" : "⚙ Columns"}</button>
+      </div>
+      {editing && (
+        <div className="column-editor">
+          {columns.map((c, i) => (
+            <div key={c.id} className="column-edit-row">
+              <input value={c.name} onChange={e => editColumn(c.id, { name: e.target.value })} />
+              <label>WIP <input type="number" min="0" value={c.wip} onChange={e => editColumn(c.id, { wip: Math.max(0, Number(e.target.value) || 0) })} /></label>
+              <button className="btn btn-ghost btn-sm" disabled={i === 0} onClick={() => shiftColumn(i, -1)}>←</button>
+              <button className="btn btn-ghost btn-sm" disabled={i === columns.length - 1} onClick={() => shiftColumn(i, 1)}>→</button>
+              <button className="btn btn-danger btn-sm" disabled={c.id === NEW_STATUS || c.id === DONE_STATUS} title={c.id === NEW_STATUS || c.id === DONE_STATUS ? "Backlog and Done are always on the board" : ""} onClick={() => removeColumn(c.id)}><Icon.Trash /></button>
+            </div>
+          ))}
+          <button className="btn btn-ghost btn-sm" onClick={addColumn}><Icon.Plus /> Add Column</button>
         </div>
+      )}
+      <div className="board" style={{ gridTemplateColumns: `repeat(${columns.length}, minmax(220px, 1fr))` }}>
+        {columns.map(col => {
+          const cards = cardsIn(col);
+          const full = col.wip > 0 && cards.length >= col.wip;
+          return (
+            <div
+              key={col.id}
+              className={`board-col ${dropAt?.status === col.id ? "drop" : ""} ${col.wip > 0 && cards.length > col.wip ? "over-wip" : ""}`}
+              onDragOver={e => { e.preventDefault(); if (dropAt?.status !== col.id) setDropAt({ status: col.id, beforeId: null }); }}
+              onDrop={e => { e.preventDefault(); drop(); }}
+            >
+              <div className="board-col-header">
+                <span>{col.name}</span>
+                <span className={`board-count ${full ? "full" : ""}`}>{cards.length}{col.wip > 0 ? ` / ${col.wip}` : ""}</span>
+              </div>
+              {cards.map((t, i) => {
+                const project = projects.find(p => p.id === t.project);
+                const blocked = !t.completed && openBlockers(t, allTasks).length > 0;
+                const subs = t.subtasks || [];
+                return (
+                  <Fragment key={t.id}>
+                    {dropAt?.status === col.id && dropAt.beforeId === t.id && dragId !== t.id && <div className="drop-marker" />}
+                    <div
+                      className={`board-card ${dragId === t.id ? "dragging" : ""}`}
+                      draggable={!!onMove}
+                      onDragStart={e => { e.dataTransfer.setData("text/plain", t.id); e.dataTransfer.effectAllowed = "move"; setDragId(t.id); }}
+                      onDragEnd={() => { setDragId(null); setDropAt(null); }}
+                      onDragOver={e => overCard(e, col, cards, i)}
+                      onClick={() => onOpen(t)}
+                    >
+                      <div className={`task-title ${t.completed ? "done" : ""}`}>{t.title}</div>
+                      <div className="task-meta">
+                        <span className={`badge badge-${t.priority}`}>{t.priority}</span>
+                        {project && <span className="badge" style={{ background: `${project.color}26`, color: project.color }}>{project.name}</span>}
+                        {t.deadline && <span className={`task-date ${!t.completed && new Date(t.deadline) < new Date() ? "overdue" : ""}`}>📅 {new Date(t.deadline).toLocaleDateString()}</span>}
+                        {t.estimatedTime > 0 && <span className="task-date">⏱ {t.estimatedTime}h</span>}
+                        {subs.length > 0 && <span className="task-date">☑ {subs.filter(s => s.done).length}/{subs.length}</span>}
+                        {blocked && <span className="task-date blocked">🔒</span>}
+                        {pending.includes(t.id) && <span className="task-date pending" title="Waiting to sync">⏳</span>}
+                      </div>
+                    </div>
+                  </Fragment>
+                );
+              })}
+              {dropAt?.status === col.id && !dropAt.beforeId && <div className="drop-marker" />}
+              {cards.length === 0 && !dropAt && <div className="board-empty">Drop tasks here</div>}
+            </div>
+          );
+        })}
       </div>
     </div>
   );
 }
 
 // ─── Dashboard Page ───────────────────────────────────────────────────────────
-function DashboardPage({ tasks, setTasks, userId }) {
+// members/readOnly: set when a team workspace is open (see App) — null/false for the personal list.
+function DashboardPage({ tasks, saveTasks, userId, projects, setProjects, scope, settings, saveSettings, events, weights, members, readOnly, comments, activity, onComment, onDeleteComment, pending = [] }) {
   const [modal, setModal] = useState(null); // null | "new" | task object
+  const [modalTab, setModalTab] = useState("details");
   const [filter, setFilter] = useState("all");
+  const [who, setWho] = useState("mine"); // team lists: "mine" | "team"
+  const [expanded, setExpanded] = useState({});
+  const [quick, setQuick] = useState("");
+  const [, setTick] = useState(0);
+  const anyRunning = tasks.some(t => runningEntry(t));
 
-  const save = (list) => { setTasks(list); DB.saveTasks(userId, list); };
+  // Re-render every second while a timer runs so its clock ticks.
+  useEffect(() => {
+    if (!anyRunning) return;
+    const id = setInterval(() => setTick(n => n + 1), 1000);
+    return () => clearInterval(id);
+  }, [anyRunning]);
 
   const addTask = (data) => {
-    const t = { id: Date.now().toString(), ...data, completed: false, createdAt: new Date().toISOString() };
-    save([...tasks, t]);
+    const id = Date.now().toString();
+    // New team tasks in "My tasks" are assigned to whoever adds them (quick-add); the modal sends its own pick.
+    const t = { id, ...(members && { assignee: who === "mine" ? userId : "" }), ...data, ...(data.recurrence && { seriesId: id, occurrence: 1 }), completed: false, status: NEW_STATUS, order: Date.now(), createdAt: new Date().toISOString() };
+    saveTasks([...tasks, t]);
     setModal(null);
   };
 
+  // Quick-add lands in the project being viewed, like a task created from there would.
+  const parsed = quick.trim() ? parseQuickAdd(quick) : null;
+  const quickAdd = () => {
+    if (!parsed?.title) return;
+    addTask({
+      title: parsed.title, description: "", priority: parsed.priority || "medium", deadline: parsed.deadline,
+      estimatedTime: parsed.estimatedTime, tags: parsed.tags, recurrence: Recurrence.normalize(parsed.recurrence, parsed.deadline),
+      subtasks: [], blockedBy: [], project: scope.project, timeEntries: [],
+    });
+    setQuick("");
+  };
+
+  // Based on the task as it was when the modal opened, so edits made elsewhere meanwhile get merged, not overwritten.
   const updateTask = (data) => {
-    save(tasks.map(t => t.id === modal.id ? { ...t, ...data } : t));
+    saveTasks(tasks.map(t => t.id === modal.id
+      ? { ...t, ...data, ...(data.recurrence && { seriesId: t.seriesId || t.id, occurrence: t.occurrence || 1 }) }
+      : t), { bases: { [modal.id]: modal } });
     setModal(null);
   };
 
-  const deleteTask = (id) => save(tasks.filter(t => t.id !== id));
+  const createProject = (data) => {
+    const p = { id: `p${Date.now()}`, ...data };
+    setProjects([...projects, p]);
+    return p;
+  };
+
+  // Lands in the Trash (App turns a task missing from the list into a trashed one) and can be undone from the toast.
+  const deleteTask = (id) => saveTasks(tasks.filter(t => t.id !== id));
 
-  const toggleTask = (id) => {
-    save(tasks.map(t => t.id === id
-      ? { ...t, completed: !t.completed, completedAt: !t.completed ? new Date().toISOString() : null }
+  const openTask = (task, tab = "details") => {
+    setModalTab(tab);
+    setModal(task);
+  };
+
+  const toggleTask = (id) => saveTasks(toggleCompletion(tasks, id));
+
+  const board = settings.board;
+  const setBoard = (changes) => saveSettings({ ...settings, board: { ...board, ...changes } });
+  const saveColumns = (columns, removedId) => {
+    if (removedId) saveTasks(tasks.map(t => t.status === removedId ? { ...t, status: NEW_STATUS } : t));
+    setBoard({ columns });
+  };
+
+  const toggleSubtask = (taskId, subId) => {
+    saveTasks(tasks.map(t => t.id === taskId
+      ? { ...t, subtasks: t.subtasks.map(s => s.id === subId ? { ...s, done: !s.done } : s) }
       : t));
   };
 
-  const filtered = tasks.filter(t => {
+  const visible = tasks.filter(t => inScope(t, scope) && (!members || who === "team" || t.assignee === userId));
+  const projectOf = (t) => projects.find(p => p.id === t.project);
+  const assigneeOf = (t) => members?.find(m => m.userId === t.assignee);
+  const filtered = visible.filter(t => {
     if (filter === "active") return !t.completed;
     if (filter === "done") return t.completed;
     return true;
   });
 
-  const sorted = AIEngine.suggestOrder(filtered.filter(t => !t.completed)).concat(filtered.filter(t => t.completed));
-  const tip = AIEngine.getProductivityTip(tasks);
-  const notifs = AIEngine.getNotifications(tasks);
-  const completed = tasks.filter(t => t.completed).length;
-  const pct = tasks.length ? Math.round((completed / tasks.length) * 100) : 0;
+  const bias = AIEngine.estimationBias(visible);
+  const sorted = AIEngine.suggestOrder(filtered.filter(t => !t.completed), { bias, weights }).concat(filtered.filter(t => t.completed));
+  const tip = AIEngine.getProductivityTip(visible);
+  // Risk is worked out over every task — they all compete for the same working hours — then shown for the scope.
+  // It's kept across the running timer's 1s ticks and only worked out again for new data or a new minute.
+  const minute = Math.floor(Date.now() / 60000);
+  const risks = useMemo(() => AIEngine.deadlineRisk(tasks, { workday: settings.workday, events }), [tasks, events, settings.workday, minute]);
+  const notifs = AIEngine.getNotifications(visible, risks);
+  // Mentions of you from the past week, newest first.
+  const mentions = comments
+    .filter(c => !c.deleted && c.by !== userId && (c.mentions || []).includes(userId) && Date.now() - new Date(c.at) < 7 * 86400000)
+    .map(c => ({ comment: c, task: tasks.find(t => t.id === c.taskId) }))
+    .filter(m => m.task)
+    .reverse();
+  const commentCount = (id) => comments.filter(c => c.taskId === id && !c.deleted).length;
+  const completed = visible.filter(t => t.completed).length;
+  // Partially checked-off tasks count fractionally towards overall progress.
+  const pct = visible.length ? Math.round((visible.reduce((sum, t) => sum + taskProgress(t), 0) / visible.length) * 100) : 0;
 
   return (
     <div>
-      {notifs.length > 0 && (
+      {(notifs.length > 0 || mentions.length > 0) && (
         <div className="notif-bar">
           <span style={{ color: "var(--accent2)", fontWeight: 600 }}>🔔 Alerts:</span>
+          {mentions.map(({ comment, task }) => (
+            <button key={comment.id} className="notif-item mention" onClick={() => openTask(task, "comments")}>
+              💬 {comment.byName} mentioned you on "{task.title}"
+            </button>
+          ))}
           {notifs.map((n, i) => (
-            <span key={i} className={`notif-item ${n.type}`}>{n.msg}</span>
+            <span key={i} className={`notif-item ${n.type}`} title={n.why}>{n.msg}</span>
           ))}
         </div>
       )}
@@ -400,9 +3127,9 @@ function DashboardPage({ tasks, setTasks, userId }) {
         {/* Stats */}
         <div className="stats-row">
           {[
-            { label: "Total Tasks", value: tasks.length, color: "var(--accent)" },
+            { label: "Total Tasks", value: visible.length, color: "var(--accent)" },
             { label: "Completed", value: completed, color: "var(--accent3)" },
-            { label: "In Progress", value: tasks.filter(t => !t.completed).length, color: "var(--medium)" },
+            { label: "In Progress", value: visible.filter(t => !t.completed).length, color: "var(--medium)" },
             { label: "Completion %", value: `${pct}%`, color: "var(--low)" },
           ].map((s, i) => (
             <div key={i} className="stat-card" style={{ "--accent-line": s.color }}>
@@ -420,7 +3147,7 @@ function DashboardPage({ tasks, setTasks, userId }) {
 
         {/* Progress */}
         <div className="section" style={{ marginBottom: 20 }}>
-          <div className="section-header"><span className="section-title">Overall Progress</span><span style={{ fontSize: 13, color: "var(--muted)" }}>{completed}/{tasks.length} tasks</span></div>
+          <div className="section-header"><span className="section-title">Overall Progress</span><span style={{ fontSize: 13, color: "var(--muted)" }}>{completed}/{visible.length} tasks</span></div>
           <div className="progress-wrap" style={{ padding: "20px 24px" }}>
             <div className="progress-label"><span>Completion Rate</span><span style={{ fontWeight: 700, color: "var(--accent)" }}>{pct}%</span></div>
             <div className="progress-bar"><div className="progress-fill" style={{ width: `${pct}%` }} /></div>
@@ -432,56 +3159,157 @@ function DashboardPage({ tasks, setTasks, userId }) {
           <div className="section-header">
             <span className="section-title">Tasks</span>
             <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
+              {members && (
+                <div style={{ display: "flex", gap: 4, background: "var(--surface2)", borderRadius: 8, padding: 4 }}>
+                  {[["mine", "My tasks"], ["team", "Team tasks"]].map(([v, label]) => (
+                    <button key={v} onClick={() => setWho(v)} className="btn btn-sm" style={{ padding: "5px 12px", background: who === v ? "var(--surface)" : "none", border: "none", color: who === v ? "var(--text)" : "var(--muted)", borderRadius: 6 }}>{label}</button>
+                  ))}
+                </div>
+              )}
               <div style={{ display: "flex", gap: 4, background: "var(--surface2)", borderRadius: 8, padding: 4 }}>
-                {["all", "active", "done"].map(f => (
-                  <button key={f} onClick={() => setFilter(f)} className="btn btn-sm" style={{ padding: "5px 12px", background: filter === f ? "var(--surface)" : "none", border: "none", color: filter === f ? "var(--text)" : "var(--muted)", borderRadius: 6, textTransform: "capitalize" }}>{f}</button>
+                {["list", "board"].map(v => (
+                  <button key={v} onClick={() => setBoard({ view: v })} className="btn btn-sm" style={{ padding: "5px 12px", background: board.view === v ? "var(--surface)" : "none", border: "none", color: board.view === v ? "var(--text)" : "var(--muted)", borderRadius: 6, textTransform: "capitalize" }}>{v}</button>
                 ))}
               </div>
-              <button className="btn btn-primary btn-sm" style={{ width: "auto" }} onClick={() => setModal("new")}>
-                <Icon.Plus /> New Task
-              </button>
+              {board.view === "list" && (
+                <div style={{ display: "flex", gap: 4, background: "var(--surface2)", borderRadius: 8, padding: 4 }}>
+                  {["all", "active", "done"].map(f => (
+                    <button key={f} onClick={() => setFilter(f)} className="btn btn-sm" style={{ padding: "5px 12px", background: filter === f ? "var(--surface)" : "none", border: "none", color: filter === f ? "var(--text)" : "var(--muted)", borderRadius: 6, textTransform: "capitalize" }}>{f}</button>
+                  ))}
+                </div>
+              )}
+              {!readOnly && (
+                <button className="btn btn-primary btn-sm" style={{ width: "auto" }} onClick={() => setModal("new")}>
+                  <Icon.Plus /> New Task
+                </button>
+              )}
             </div>
           </div>
-          <div className="section-body">
-            {sorted.length === 0 ? (
-              <div style={{ padding: "40px", textAlign: "center", color: "var(--muted)" }}>
-                <div style={{ fontSize: 40, marginBottom: 12 }}>📋</div>
-                <div style={{ fontSize: 14 }}>No tasks yet. Add one to get started!</div>
-              </div>
-            ) : sorted.map(task => {
-              const overdue = task.deadline && new Date(task.deadline) < new Date() && !task.completed;
-              return (
-                <div key={task.id} className="task-item">
-                  <div className={`task-check ${task.completed ? "done" : ""}`} onClick={() => toggleTask(task.id)}>
-                    {task.completed && <Icon.Check />}
-                  </div>
-                  <div className="task-body">
-                    <div className={`task-title ${task.completed ? "done" : ""}`}>{task.title}</div>
-                    <div className="task-meta">
-                      <span className={`badge badge-${task.priority}`}>{task.priority}</span>
-                      {task.deadline && (
-                        <span className={`task-date ${overdue ? "overdue" : ""}`}>
-                          {overdue ? "⚠️ " : "📅 "}
-                          {new Date(task.deadline).toLocaleDateString()}
-                        </span>
+          {readOnly ? (
+            <div className="quick-add settings-note" style={{ marginBottom: 0 }}>👁 You're a viewer in this workspace — tasks are read-only.</div>
+          ) : (
+            <div className="quick-add">
+              <input
+                value={quick}
+                onChange={e => setQuick(e.target.value)}
+                onKeyDown={e => { if (e.key === "Enter") quickAdd(); if (e.key === "Escape") setQuick(""); }}
+                placeholder='Quick add — e.g. "Write proposal tomorrow 5pm !high ~2h #clientX every monday"'
+              />
+              {parsed && (
+                <div className="quick-preview">
+                  <span className="quick-title">{parsed.title || <em>Add a title…</em>}</span>
+                  {parsed.deadline && <span className="task-date">📅 {new Date(parsed.deadline).toLocaleString([], { dateStyle: "medium", timeStyle: "short" })}</span>}
+                  {parsed.priority && <span className={`badge badge-${parsed.priority}`}>{parsed.priority}</span>}
+                  {parsed.estimatedTime > 0 && <span className="task-date">⏱ {parsed.estimatedTime}h</span>}
+                  {parsed.tags.map(t => <span key={t} className="chip" style={{ borderColor: tagColor(t), color: tagColor(t), paddingRight: 10 }}>#{t}</span>)}
+                  {parsed.recurrence && <span className="task-date">🔁 {Recurrence.describe(Recurrence.normalize(parsed.recurrence, parsed.deadline))}</span>}
+                  <span className="quick-hint">↵ to add</span>
+                </div>
+              )}
+            </div>
+          )}
+          {board.view === "board" ? (
+            <KanbanBoard
+              tasks={visible}
+              allTasks={tasks}
+              projects={projects}
+              columns={board.columns}
+              onMove={readOnly ? null : (id, status, beforeId) => saveTasks(moveTask(tasks, id, status, beforeId))}
+              pending={pending}
+              onOpen={openTask}
+              onSaveColumns={saveColumns}
+            />
+          ) : (
+            <div className="section-body">
+              {sorted.length === 0 ? (
+                <div style={{ padding: "40px", textAlign: "center", color: "var(--muted)" }}>
+                  <div style={{ fontSize: 40, marginBottom: 12 }}>📋</div>
+                  <div style={{ fontSize: 14 }}>No tasks yet. Add one to get started!</div>
+                </div>
+              ) : sorted.map(task => {
+                const overdue = task.deadline && new Date(task.deadline) < new Date() && !task.completed;
+                const subs = task.subtasks || [];
+                const blockers = task.completed ? [] : openBlockers(task, tasks);
+                return (
+                  <Fragment key={task.id}>
+                    <div className={`task-item ${blockers.length ? "blocked" : ""}`}>
+                      <div className={`task-check ${task.completed ? "done" : ""} ${readOnly ? "readonly" : ""}`} onClick={readOnly ? undefined : () => toggleTask(task.id)}>
+                        {task.completed && <Icon.Check />}
+                      </div>
+                      <div className="task-body">
+                        <div className={`task-title ${task.completed ? "done" : ""}`}>{task.title}</div>
+                        <div className="task-meta">
+                          <span className={`badge badge-${task.priority}`}>{task.priority}</span>
+                          {projectOf(task) && <span className="badge" style={{ background: `${projectOf(task).color}26`, color: projectOf(task).color }}>{projectOf(task).name}</span>}
+                          {members && <span className="task-date">👤 {assigneeOf(task)?.name || "Unassigned"}</span>}
+                          {(task.tags || []).map(tag => <span key={tag} className="task-date" style={{ color: tagColor(tag) }}>#{tag}</span>)}
+                          {task.deadline && (
+                            <span className={`task-date ${overdue ? "overdue" : ""}`}>
+                              {overdue ? "⚠️ " : "📅 "}
+                              {new Date(task.deadline).toLocaleDateString()}
+                            </span>
+                          )}
+                          {task.estimatedTime > 0 && <span className="task-date">⏱ {task.estimatedTime}h</span>}
+                          {task.recurrence && <span className="task-date">🔁 {Recurrence.describe(task.recurrence)}</span>}
+                          {blockers.length > 0 && <span className="task-date blocked">🔒 Blocked by {blockers.map(b => b.title).join(", ")}</span>}
+                          {commentCount(task.id) > 0 && <button className="subtask-toggle" onClick={() => openTask(task, "comments")}>💬 {commentCount(task.id)}</button>}
+                          {pending.includes(task.id) && <span className="task-date pending" title="Saved on this device, waiting to reach the server">⏳ Not synced yet</span>}
+                          {subs.length > 0 && (
+                            <button className="subtask-toggle" onClick={() => setExpanded(x => ({ ...x, [task.id]: !x[task.id] }))}>
+                              {expanded[task.id] ? "▾" : "▸"} ☑ {subs.filter(s => s.done).length}/{subs.length}
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                      {(!task.completed || trackedHours(task) > 0) && (
+                        <button className={`timer-btn ${runningEntry(task) ? "running" : ""}`} onClick={() => saveTasks(toggleTimer(tasks, task.id))} disabled={task.completed || readOnly}>
+                          {task.completed || readOnly ? "⏱" : runningEntry(task) ? "⏸" : "▶"} {formatDuration(trackedHours(task))}
+                        </button>
                       )}
-                      {task.estimatedTime > 0 && <span className="task-date">⏱ {task.estimatedTime}h</span>}
+                      <div className="task-actions">
+                        <button className="btn btn-ghost btn-sm" onClick={() => openTask(task, readOnly ? "comments" : "details")} title={readOnly ? "Comments & activity" : "Edit"}>
+                          {readOnly ? "💬" : <Icon.Edit />}
+                        </button>
+                        {!readOnly && <button className="btn btn-danger btn-sm" onClick={() => deleteTask(task.id)}><Icon.Trash /></button>}
+                      </div>
                     </div>
-                  </div>
-                  <div className="task-actions">
-                    <button className="btn btn-ghost btn-sm" onClick={() => setModal(task)}><Icon.Edit /></button>
-                    <button className="btn btn-danger btn-sm" onClick={() => deleteTask(task.id)}><Icon.Trash /></button>
-                  </div>
-                </div>
-              );
-            })}
-          </div>
+                    {expanded[task.id] && subs.length > 0 && (
+                      <div className="subtask-list">
+                        {subs.map(s => (
+                          <div key={s.id} className="subtask-item">
+                            <div className={`task-check ${s.done ? "done" : ""} ${readOnly ? "readonly" : ""}`} onClick={readOnly ? undefined : () => toggleSubtask(task.id, s.id)}>
+                              {s.done && <Icon.Check />}
+                            </div>
+                            <span className={`task-title ${s.done ? "done" : ""}`}>{s.title}</span>
+                            {s.estimatedTime > 0 && <span className="task-date">⏱ {s.estimatedTime}h</span>}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </Fragment>
+                );
+              })}
+            </div>
+          )}
         </div>
       </div>
       {modal && (
         <TaskModal
           task={modal === "new" ? null : modal}
+          tasks={tasks}
+          projects={projects}
+          members={members}
+          columns={board.columns}
+          userId={userId}
+          defaultAssignee={who === "mine" ? userId : ""}
+          comments={comments}
+          activity={activity}
+          initialTab={modalTab}
+          readOnly={readOnly}
+          onCreateProject={createProject}
           onSave={modal === "new" ? addTask : updateTask}
+          onComment={onComment}
+          onDeleteComment={onDeleteComment}
           onClose={() => setModal(null)}
         />
       )}
@@ -489,92 +3317,531 @@ function DashboardPage({ tasks, setTasks, userId }) {
   );
 }
 
-// ─── Analytics Page ───────────────────────────────────────────────────────────
-function AnalyticsPage({ tasks }) {
-  const { completionTrend, byPriority, total, completed, rate } = getAnalytics(tasks);
-  const avgTime = tasks.filter(t => t.estimatedTime > 0).reduce((a, b) => a + b.estimatedTime, 0) /
-    (tasks.filter(t => t.estimatedTime > 0).length || 1);
+// ─── Calendar Page ────────────────────────────────────────────────────────────
+const fmtHour = (h) => `${pad2(Math.floor(h))}:${pad2(Math.round((h % 1) * 60))}`;
 
-  return (
-    <div className="content">
-      <div className="stats-row">
-        {[
-          { label: "Total Tasks", value: total, color: "var(--accent)" },
-          { label: "Completed", value: completed, color: "var(--accent3)" },
-          { label: "Completion Rate", value: `${rate}%`, color: "var(--low)" },
-          { label: "Avg. Est. Hours", value: avgTime.toFixed(1), color: "var(--medium)" },
-        ].map((s, i) => (
-          <div key={i} className="stat-card" style={{ "--accent-line": s.color }}>
-            <div className="stat-value" style={{ color: s.color }}>{s.value}</div>
-            <div className="stat-label">{s.label}</div>
-          </div>
-        ))}
-      </div>
+// readOnly (workspace viewers): tasks can't be dragged; view and working hours are personal settings and stay editable.
+function CalendarPage({ tasks, saveTasks, scope, settings, saveSettings, readOnly }) {
+  const [cursor, setCursor] = useState(() => startOfDay(new Date()));
+  const [dragId, setDragId] = useState(null);
+  const [hover, setHover] = useState(null); // { day: dateString, hour } — hour is null in month view
+  const gridRef = useRef(null);
+  const view = settings.calendar.view;
+  const { start: workStart, end: workEnd } = settings.workday;
+  const capacity = workEnd - workStart;
 
-      <div className="charts-grid">
-        <div className="chart-card">
-          <div className="chart-title">📈 Completion Trend (7 days)</div>
-          <ResponsiveContainer width="100%" height={200}>
-            <LineChart data={completionTrend}>
-              <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
-              <XAxis dataKey="day" tick={{ fill: "var(--muted)", fontSize: 12 }} />
-              <YAxis tick={{ fill: "var(--muted)", fontSize: 12 }} />
-              <Tooltip contentStyle={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 10 }} />
-              <Line type="monotone" dataKey="completed" stroke="#7c6af7" strokeWidth={2} dot={{ fill: "#7c6af7" }} name="Completed" />
-              <Line type="monotone" dataKey="added" stroke="#43e8d8" strokeWidth={2} dot={{ fill: "#43e8d8" }} name="Added" />
-            </LineChart>
-          </ResponsiveContainer>
-        </div>
+  const setView = (v) => saveSettings({ ...settings, calendar: { ...settings.calendar, view: v } });
+  const setWorkday = (key, value) => saveSettings({ ...settings, workday: { ...settings.workday, [key]: Math.min(24, Math.max(0, Number(value) || 0)) } });
 
-        <div className="chart-card">
-          <div className="chart-title">📊 Tasks by Priority</div>
-          <ResponsiveContainer width="100%" height={200}>
-            <BarChart data={byPriority}>
-              <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
-              <XAxis dataKey="name" tick={{ fill: "var(--muted)", fontSize: 12 }} />
-              <YAxis tick={{ fill: "var(--muted)", fontSize: 12 }} />
-              <Tooltip contentStyle={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 10 }} />
-              <Bar dataKey="value" name="Tasks" radius={[6, 6, 0, 0]}>
-                {byPriority.map((entry, i) => <Cell key={i} fill={entry.color} />)}
-              </Bar>
-            </BarChart>
-          </ResponsiveContainer>
-        </div>
+  const visible = tasks.filter(t => inScope(t, scope));
+  const unscheduled = visible.filter(t => !t.completed && !t.deadline);
+  const dragTask = tasks.find(t => t.id === dragId);
+  const today = new Date();
 
-        <div className="chart-card">
-          <div className="chart-title">🥧 Priority Distribution</div>
-          <ResponsiveContainer width="100%" height={200}>
-            <PieChart>
-              <Pie data={byPriority} cx="50%" cy="50%" outerRadius={80} dataKey="value" label={({ name, percent }) => `${name} ${(percent * 100).toFixed(0)}%`}>
-                {byPriority.map((entry, i) => <Cell key={i} fill={entry.color} />)}
-              </Pie>
-              <Tooltip contentStyle={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 10 }} />
-            </PieChart>
-          </ResponsiveContainer>
-        </div>
+  // Open the time grid at the start of the working day.
+  useEffect(() => { if (gridRef.current) gridRef.current.scrollTop = Math.max(0, workStart * HOUR_PX - 12); }, [view]);
 
-        <div className="chart-card">
-          <div className="chart-title">✅ Completion vs Pending</div>
-          <ResponsiveContainer width="100%" height={200}>
-            <BarChart data={[{ name: "Status", Completed: completed, Pending: total - completed }]}>
-              <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
-              <XAxis dataKey="name" tick={{ fill: "var(--muted)", fontSize: 12 }} />
-              <YAxis tick={{ fill: "var(--muted)", fontSize: 12 }} />
-              <Tooltip contentStyle={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 10 }} />
-              <Bar dataKey="Completed" fill="#43e8d8" radius={[6, 6, 0, 0]} />
-              <Bar dataKey="Pending" fill="#7c6af7" radius={[6, 6, 0, 0]} />
-            </BarChart>
-          </ResponsiveContainer>
-        </div>
-      </div>
+  const days = view === "month"
+    ? Array.from({ length: 42 }, (_, i) => addDays(startOfWeek(new Date(cursor.getFullYear(), cursor.getMonth(), 1)), i))
+    : view === "week" ? Array.from({ length: 7 }, (_, i) => addDays(startOfWeek(cursor), i)) : [cursor];
+  const title = view === "month" ? cursor.toLocaleDateString([], { month: "long", year: "numeric" })
+    : view === "week" ? `${days[0].toLocaleDateString([], { month: "short", day: "numeric" })} – ${days[6].toLocaleDateString([], { month: "short", day: "numeric", year: "numeric" })}`
+    : cursor.toLocaleDateString([], { weekday: "long", month: "long", day: "numeric", year: "numeric" });
+  const step = (n) => setCursor(c => view === "month" ? new Date(c.getFullYear(), c.getMonth() + n, 1) : addDays(c, n * (view === "week" ? 7 : 1)));
+  const openDay = (day) => { setCursor(day); setView("day"); };
+
+  const drag = (t) => ({
+    draggable: !t.completed && !readOnly,
+    onDragStart: (e) => { e.dataTransfer.setData("text/plain", t.id); e.dataTransfer.effectAllowed = "move"; setDragId(t.id); },
+    onDragEnd: () => { setDragId(null); setHover(null); },
+  });
+  const hoverAt = (day, hour = null) => {
+    if (hover?.day !== day.toDateString() || hover.hour !== hour) setHover({ day: day.toDateString(), hour });
+  };
+  // Month view keeps the task's time of day (end of the working day if it had no deadline).
+  const dropOnDay = (day) => {
+    if (!dragTask) return;
+    const when = new Date(day);
+    const prev = dragTask.deadline && new Date(dragTask.deadline);
+    when.setHours(prev ? prev.getHours() : workEnd, prev ? prev.getMinutes() : 0);
+    saveTasks(tasks.map(t => t.id === dragId ? rescheduleTask(t, when) : t));
+  };
+  // Week/day views: the block's top edge lands on the 15-minute slot under the pointer.
+  const slotAt = (e) => {
+    const r = e.currentTarget.getBoundingClientRect();
+    return Math.min(24 * 4 - 1, Math.max(0, Math.floor(((e.clientY - r.top) / HOUR_PX) * 4))) / 4;
+  };
+  const dropOnSlot = (day, hour) => {
+    if (!dragTask) return;
+    const when = new Date(day);
+    when.setMinutes(Math.min(24 * 60 - 1, Math.round((hour + blockHours(dragTask)) * 60)));
+    saveTasks(tasks.map(t => t.id === dragId ? rescheduleTask(t, when) : t));
+  };
+  const endDrag = () => { setDragId(null); setHover(null); };
+
+  const chip = (t) => (
+    <div key={t.id} className={`cal-chip ${t.priority} ${t.completed ? "done" : ""}`} title={t.title} {...drag(t)}>
+      <span className="cal-chip-time">{fmtHour(new Date(t.deadline).getHours() + new Date(t.deadline).getMinutes() / 60)}</span> {t.title}
     </div>
   );
-}
 
-// ─── AI Suggestions Page ──────────────────────────────────────────────────────
-function AISuggestionsPage({ tasks }) {
-  const pending = tasks.filter(t => !t.completed);
-  const suggested = AIEngine.suggestOrder(pending);
+  return (
+    <div className="content">
+      <div className="section">
+        <div className="section-header cal-toolbar">
+          <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            <button className="btn btn-ghost btn-sm" onClick={() => step(-1)}>‹</button>
+            <button className="btn btn-ghost btn-sm" onClick={() => setCursor(startOfDay(new Date()))}>Today</button>
+            <button className="btn btn-ghost btn-sm" onClick={() => step(1)}>›</button>
+            <span className="section-title" style={{ marginLeft: 8 }}>{title}</span>
+          </div>
+          <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
+            <label className="data-option">
+              Working hours
+              <input type="number" min="0" max="24" value={workStart} onChange={e => setWorkday("start", e.target.value)} />–
+              <input type="number" min="0" max="24" value={workEnd} onChange={e => setWorkday("end", e.target.value)} />
+            </label>
+            <div style={{ display: "flex", gap: 4, background: "var(--surface2)", borderRadius: 8, padding: 4 }}>
+              {["month", "week", "day"].map(v => (
+                <button key={v} onClick={() => setView(v)} className="btn btn-sm" style={{ padding: "5px 12px", background: view === v ? "var(--surface)" : "none", border: "none", color: view === v ? "var(--text)" : "var(--muted)", borderRadius: 6, textTransform: "capitalize" }}>{v}</button>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {unscheduled.length > 0 && (
+          <div className="cal-tray">
+            <span style={{ fontSize: 12, color: "var(--muted)" }}>{readOnly ? "No deadline:" : "No deadline — drag onto the calendar:"}</span>
+            {unscheduled.map(t => <div key={t.id} className={`cal-chip ${t.priority}`} {...drag(t)}>{t.title}</div>)}
+          </div>
+        )}
+
+        {view === "month" ? (
+          <div className="cal-month">
+            {WEEKDAYS.map(d => <div key={d} className="cal-dow">{d}</div>)}
+            {days.map(day => {
+              const items = visible.filter(t => t.deadline && sameDay(t.deadline, day)).sort((a, b) => new Date(a.deadline) - new Date(b.deadline));
+              const load = dayLoad(visible, day);
+              const classes = [
+                "cal-day",
+                day.getMonth() !== cursor.getMonth() && "other",
+                sameDay(day, today) && "today",
+                load > capacity && "overbooked",
+                hover?.day === day.toDateString() && "drop",
+              ].filter(Boolean).join(" ");
+              return (
+                <div key={day.toDateString()} className={classes} onDragOver={e => { e.preventDefault(); hoverAt(day); }} onDrop={e => { e.preventDefault(); dropOnDay(day); endDrag(); }}>
+                  <div className="cal-day-head">
+                    <button className="cal-day-num" onClick={() => openDay(day)}>{day.getDate()}</button>
+                    {load > 0 && <span className="cal-load" title={`${load.toFixed(1)}h of open work, ${capacity}h working day`}>{load.toFixed(1)}h</span>}
+                  </div>
+                  {items.slice(0, 3).map(chip)}
+                  {items.length > 3 && <button className="cal-more" onClick={() => openDay(day)}>+{items.length - 3} more</button>}
+                </div>
+              );
+            })}
+          </div>
+        ) : (
+          <>
+            <div className="cal-week-head" style={{ gridTemplateColumns: `56px repeat(${days.length}, 1fr)` }}>
+              <div />
+              {days.map(day => {
+                const load = dayLoad(visible, day);
+                return (
+                  <div key={day.toDateString()} className={`cal-col-head ${sameDay(day, today) ? "today" : ""}`}>
+                    <button className="cal-day-num" onClick={() => openDay(day)}>{WEEKDAYS[day.getDay()]} {day.getDate()}</button>
+                    <div className={`cal-load ${load > capacity ? "over" : ""}`}>{load.toFixed(1)}h / {capacity}h{load > capacity ? " — overbooked" : ""}</div>
+                    <div className="cal-load-bar"><div className={load > capacity ? "over" : ""} style={{ width: `${Math.min(100, capacity ? (load / capacity) * 100 : 100)}%` }} /></div>
+                  </div>
+                );
+              })}
+            </div>
+            <div className="cal-grid" ref={gridRef}>
+              <div className="cal-grid-inner" style={{ gridTemplateColumns: `56px repeat(${days.length}, 1fr)`, height: 24 * HOUR_PX }}>
+                <div className="cal-gutter">
+                  {Array.from({ length: 24 }, (_, h) => <div key={h} style={{ height: HOUR_PX }}>{fmtHour(h)}</div>)}
+                </div>
+                {days.map(day => (
+                  <div
+                    key={day.toDateString()}
+                    className="cal-col"
+                    onDragOver={e => { e.preventDefault(); hoverAt(day, slotAt(e)); }}
+                    onDrop={e => { e.preventDefault(); dropOnSlot(day, slotAt(e)); endDrag(); }}
+                  >
+                    <div className="cal-work" style={{ top: workStart * HOUR_PX, height: Math.max(0, capacity) * HOUR_PX }} />
+                    {layoutDay(visible, day).map(b => (
+                      <div
+                        key={b.task.id}
+                        className={`cal-block ${b.task.priority} ${b.task.completed ? "done" : ""} ${b.task.estimatedTime > 0 ? "" : "unestimated"} ${dragId === b.task.id ? "dragging" : ""}`}
+                        style={{ top: b.start * HOUR_PX, height: Math.max(18, (b.end - b.start) * HOUR_PX - 2), left: `${(b.lane / b.lanes) * 100}%`, width: `${100 / b.lanes}%` }}
+                        title={`${b.task.title}\n${fmtHour(b.start)}–${fmtHour(b.end)}${b.task.estimatedTime > 0 ? "" : " (no estimate)"}`}
+                        {...drag(b.task)}
+                      >
+                        <div className="cal-block-title">{b.task.title}</div>
+                        <div className="cal-block-time">{fmtHour(b.start)}–{fmtHour(b.end)}</div>
+                      </div>
+                    ))}
+                    {hover?.day === day.toDateString() && hover.hour !== null && dragTask && (
+                      <div className="cal-ghost" style={{ top: hover.hour * HOUR_PX, height: blockHours(dragTask) * HOUR_PX }}>
+                        due {fmtHour(Math.min(24 - 1 / 60, hover.hour + blockHours(dragTask)))}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ─── Today Page ───────────────────────────────────────────────────────────────
+const clockTime = (d) => fmtHour(d.getHours() + d.getMinutes() / 60);
+const NEW_EVENT = () => ({ title: "", date: toLocalInput(new Date()).slice(0, 10), start: "12:00", end: "13:00", repeat: "none" });
+
+// readOnly (workspace viewers): the plan is shown but its tasks can't be completed or timed; events and working
+// hours are the viewer's own.
+function TodayPage({ tasks, saveTasks, settings, saveSettings, events, saveEvents, weights, readOnly }) {
+  const [now, setNow] = useState(() => new Date());
+  const [draft, setDraft] = useState(NEW_EVENT);
+  const [err, setErr] = useState("");
+  const { workday } = settings;
+  const anyRunning = tasks.some(t => runningEntry(t));
+
+  // The plan is recomputed on every render, so completing a task or running over its estimate re-plans at once;
+  // the clock ticks every minute (every second while a timer runs) to move the plan along with it.
+  useEffect(() => {
+    const id = setInterval(() => setNow(new Date()), anyRunning ? 1000 : 60000);
+    return () => clearInterval(id);
+  }, [anyRunning]);
+
+  const setHours = (key, value) => saveSettings({ ...settings, workday: { ...workday, [key]: Math.min(24, Math.max(0, Number(value) || 0)) } });
+  const toggleDay = (d) => saveSettings({ ...settings, workday: { ...workday, days: workday.days.includes(d) ? workday.days.filter(x => x !== d) : [...workday.days, d].sort() } });
+
+  const addEvent = () => {
+    if (!draft.title.trim() || !draft.date) return setErr("An event needs a title and a date.");
+    if (draft.end <= draft.start) return setErr("An event has to end after it starts.");
+    saveEvents([...events, { ...draft, id: Date.now().toString(), title: draft.title.trim() }]);
+    setDraft(NEW_EVENT());
+    setErr("");
+  };
+
+  const { blocks, plans } = Scheduler.plan(tasks, { workday, events, now, bias: AIEngine.estimationBias(tasks), weights });
+  const agenda = [
+    ...blocks.filter(b => sameDay(b.start, now)).map(b => ({ key: `${b.task.id}-${b.part}`, start: b.start, end: b.end, block: b })),
+    ...eventsOn(events, now).filter(ev => ev.to > now).map(ev => ({ key: ev.id, start: ev.from, end: ev.to, event: ev })),
+  ].sort((a, b) => a.start - b.start);
+  const planned = agenda.filter(a => a.block).reduce((sum, a) => sum + hoursBetween(a.start, a.end), 0);
+  const free = Scheduler.freeTime(workday, events, now, 1).reduce((sum, f) => sum + hoursBetween(f.from, f.to), 0);
+  const atRisk = Object.values(plans).filter(p => p.late);
+  const comingUp = Array.from({ length: PLAN_DAYS - 1 }, (_, i) => addDays(startOfDay(now), i + 1))
+    .map(day => ({ day, blocks: blocks.filter(b => sameDay(b.start, day)) }))
+    .filter(d => d.blocks.length)
+    .slice(0, 5);
+  const dayLabel = (d) => d.toLocaleDateString([], { weekday: "short", month: "short", day: "numeric" });
+
+  return (
+    <div className="content">
+      <div className="section" style={{ marginBottom: 20 }}>
+        <div className="section-header">
+          <span className="section-title">📋 {now.toLocaleDateString([], { weekday: "long", month: "long", day: "numeric" })}</span>
+          <span style={{ fontSize: 12, color: "var(--muted)" }}>{planned.toFixed(1)}h planned · {Math.max(0, free - planned).toFixed(1)}h free</span>
+        </div>
+        <ul className="suggest-list">
+          {agenda.length === 0 ? (
+            <li style={{ padding: "30px", textAlign: "center", color: "var(--muted)" }}>
+              {workday.days.includes(now.getDay()) ? "Nothing left to plan today 🎉" : "Not a working day — enjoy it."}
+            </li>
+          ) : agenda.map(({ key, start, end, block, event }) => {
+            const current = start <= now && now < end;
+            if (event) return (
+              <li key={key} className={`suggest-item agenda-item event ${current ? "now" : ""}`}>
+                <div className="agenda-time">{clockTime(start)}–{clockTime(end)}</div>
+                <div style={{ flex: 1, fontSize: 14 }}>📌 {event.title}</div>
+                <span className="badge badge-muted">{EVENT_REPEATS[event.repeat]}</span>
+              </li>
+            );
+            const { task, part, parts } = block;
+            const plan = plans[task.id];
+            return (
+              <li key={key} className={`suggest-item agenda-item ${task.priority} ${current ? "now" : ""}`}>
+                <div className="agenda-time">{clockTime(start)}–{clockTime(end)}</div>
+                <div className={`task-check ${readOnly ? "readonly" : ""}`} onClick={readOnly ? undefined : () => saveTasks(toggleCompletion(tasks, task.id))} />
+                <div style={{ flex: 1 }}>
+                  <div style={{ fontWeight: 500, fontSize: 14 }}>{task.title}</div>
+                  <div style={{ display: "flex", gap: 8, marginTop: 4, flexWrap: "wrap" }}>
+                    <span className={`badge badge-${task.priority}`}>{task.priority}</span>
+                    {parts > 1 && <span className="badge badge-muted">part {part}/{parts}</span>}
+                    {plan.overrun && <span className="badge badge-medium">over estimate</span>}
+                    {plan.late && <span className="badge badge-high">won't make the deadline</span>}
+                    {task.deadline && <span style={{ fontSize: 11, color: "var(--muted)" }}>Due {new Date(task.deadline).toLocaleString([], { weekday: "short", hour: "2-digit", minute: "2-digit" })}</span>}
+                  </div>
+                </div>
+                <button className={`timer-btn ${runningEntry(task) ? "running" : ""}`} onClick={() => saveTasks(toggleTimer(tasks, task.id))} disabled={readOnly}>
+                  {readOnly ? "⏱" : runningEntry(task) ? "⏸" : "▶"} {formatDuration(trackedHours(task))}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+
+      {atRisk.length > 0 && (
+        <div className="section" style={{ marginBottom: 20 }}>
+          <div className="section-header">
+            <span className="section-title">⚠️ Won't Fit Before Their Deadline</span>
+            <span style={{ fontSize: 12, color: "var(--muted)" }}>Move a deadline, trim an estimate or free up time</span>
+          </div>
+          <ul className="suggest-list">
+            {atRisk.map(({ task, hours, finish, unscheduled }) => (
+              <li key={task.id} className="suggest-item">
+                <div style={{ flex: 1 }}>
+                  <div style={{ fontWeight: 500, fontSize: 14 }}>{task.title}</div>
+                  <div style={{ fontSize: 12, color: "var(--muted)", marginTop: 4 }}>
+                    Needs {hours}h · due {dayLabel(new Date(task.deadline))} {clockTime(new Date(task.deadline))} ·{" "}
+                    {unscheduled ? `no room in the next ${PLAN_DAYS} days` : `earliest finish ${dayLabel(finish)} ${clockTime(finish)}`}
+                  </div>
+                </div>
+                <span className={`badge badge-${task.priority}`}>{task.priority}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {comingUp.length > 0 && (
+        <div className="section" style={{ marginBottom: 20 }}>
+          <div className="section-header"><span className="section-title">🗓 Coming Up</span></div>
+          <ul className="suggest-list">
+            {comingUp.map(({ day, blocks: list }) => (
+              <li key={day.toDateString()} className="suggest-item agenda-day">
+                <div className="agenda-time">{dayLabel(day)}</div>
+                <div style={{ flex: 1, display: "flex", gap: 6, flexWrap: "wrap" }}>
+                  {list.map(b => (
+                    <span key={`${b.task.id}-${b.part}`} className={`cal-chip ${b.task.priority}`} title={b.task.title}>
+                      <span className="cal-chip-time">{clockTime(b.start)}</span> {b.task.title}
+                    </span>
+                  ))}
+                </div>
+                <span style={{ fontSize: 12, color: "var(--muted)" }}>{list.reduce((sum, b) => sum + hoursBetween(b.start, b.end), 0).toFixed(1)}h</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="section">
+        <div className="section-header">
+          <span className="section-title">⏰ Working Hours & Fixed Events</span>
+          <label className="data-option">
+            Working hours
+            <input type="number" min="0" max="24" value={workday.start} onChange={e => setHours("start", e.target.value)} />–
+            <input type="number" min="0" max="24" value={workday.end} onChange={e => setHours("end", e.target.value)} />
+          </label>
+        </div>
+        <div className="settings-body" style={{ maxWidth: "none" }}>
+          <div className="field">
+            <label>Working Days</label>
+            <div className="day-picker">
+              {WEEKDAYS.map((d, i) => (
+                <button key={d} type="button" className={`day-toggle ${workday.days.includes(i) ? "active" : ""}`} onClick={() => toggleDay(i)}>{d}</button>
+              ))}
+            </div>
+          </div>
+          <div className="field">
+            <label>Fixed Events — the plan works around these</label>
+            {events.map(ev => (
+              <div key={ev.id} className="event-row">
+                <span style={{ flex: 1 }}>📌 {ev.title}</span>
+                <span style={{ color: "var(--muted)" }}>{EVENT_REPEATS[ev.repeat]} · {ev.repeat === "none" ? ev.date : `from ${ev.date}`} · {ev.start}–{ev.end}</span>
+                <button className="btn btn-ghost btn-sm" onClick={() => saveEvents(events.filter(x => x.id !== ev.id))}><Icon.Trash /></button>
+              </div>
+            ))}
+            <div className="event-row event-form">
+              <input placeholder="Meeting, lunch, school run…" value={draft.title} onChange={e => setDraft(d => ({ ...d, title: e.target.value }))} onKeyDown={e => e.key === "Enter" && addEvent()} />
+              <input type="date" value={draft.date} onChange={e => setDraft(d => ({ ...d, date: e.target.value }))} />
+              <input type="time" value={draft.start} onChange={e => setDraft(d => ({ ...d, start: e.target.value }))} />
+              <input type="time" value={draft.end} onChange={e => setDraft(d => ({ ...d, end: e.target.value }))} />
+              <select value={draft.repeat} onChange={e => setDraft(d => ({ ...d, repeat: e.target.value }))}>
+                {Object.entries(EVENT_REPEATS).map(([k, v]) => <option key={k} value={k}>{v}</option>)}
+              </select>
+              <button className="btn btn-primary btn-sm" style={{ width: "auto" }} onClick={addEvent}>Add</button>
+            </div>
+            {err && <div className="err">{err}</div>}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ─── Analytics Page ───────────────────────────────────────────────────────────
+function AnalyticsPage({ tasks, projects, members }) {
+  const { completionTrend, byPriority, byProject, byTag, timeByTask, timeByPriority, byAssignee, total, completed, rate } = getAnalytics(tasks, projects, members);
+  const avgTime = tasks.filter(t => t.estimatedTime > 0).reduce((a, b) => a + b.estimatedTime, 0) /
+    (tasks.filter(t => t.estimatedTime > 0).length || 1);
+
+  return (
+    <div className="content">
+      <div className="stats-row">
+        {[
+          { label: "Total Tasks", value: total, color: "var(--accent)" },
+          { label: "Completed", value: completed, color: "var(--accent3)" },
+          { label: "Completion Rate", value: `${rate}%`, color: "var(--low)" },
+          { label: "Avg. Est. Hours", value: avgTime.toFixed(1), color: "var(--medium)" },
+        ].map((s, i) => (
+          <div key={i} className="stat-card" style={{ "--accent-line": s.color }}>
+            <div className="stat-value" style={{ color: s.color }}>{s.value}</div>
+            <div className="stat-label">{s.label}</div>
+          </div>
+        ))}
+      </div>
+
+      {byAssignee && (
+        <div className="chart-card" style={{ marginBottom: 20 }}>
+          <div className="chart-title">👥 Workload by Assignee</div>
+          <ResponsiveContainer width="100%" height={220}>
+            <BarChart data={byAssignee}>
+              <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+              <XAxis dataKey="name" tick={{ fill: "var(--muted)", fontSize: 12 }} />
+              <YAxis yAxisId="hours" tick={{ fill: "var(--muted)", fontSize: 12 }} unit="h" />
+              <YAxis yAxisId="tasks" orientation="right" allowDecimals={false} tick={{ fill: "var(--muted)", fontSize: 12 }} />
+              <Tooltip contentStyle={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 10 }} />
+              <Bar yAxisId="hours" dataKey="hours" name="Open hours" fill="#7c6af7" radius={[6, 6, 0, 0]} />
+              <Bar yAxisId="tasks" dataKey="open" name="Open tasks" fill="#f59e0b" radius={[6, 6, 0, 0]} />
+              <Bar yAxisId="tasks" dataKey="overdue" name="Overdue" fill="#ef4444" radius={[6, 6, 0, 0]} />
+              <Bar yAxisId="tasks" dataKey="completed" name="Completed" fill="#43e8d8" fillOpacity={0.5} radius={[6, 6, 0, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      <div className="charts-grid">
+        <div className="chart-card">
+          <div className="chart-title">📈 Completion Trend (7 days)</div>
+          <ResponsiveContainer width="100%" height={200}>
+            <LineChart data={completionTrend}>
+              <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+              <XAxis dataKey="day" tick={{ fill: "var(--muted)", fontSize: 12 }} />
+              <YAxis tick={{ fill: "var(--muted)", fontSize: 12 }} />
+              <Tooltip contentStyle={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 10 }} />
+              <Line type="monotone" dataKey="completed" stroke="#7c6af7" strokeWidth={2} dot={{ fill: "#7c6af7" }} name="Completed" />
+              <Line type="monotone" dataKey="added" stroke="#43e8d8" strokeWidth={2} dot={{ fill: "#43e8d8" }} name="Added" />
+              <Line type="monotone" dataKey="pomodoros" stroke="#f7436a" strokeWidth={2} dot={{ fill: "#f7436a" }} name="Pomodoros" />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+
+        <div className="chart-card">
+          <div className="chart-title">📊 Tasks by Priority</div>
+          <ResponsiveContainer width="100%" height={200}>
+            <BarChart data={byPriority}>
+              <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+              <XAxis dataKey="name" tick={{ fill: "var(--muted)", fontSize: 12 }} />
+              <YAxis tick={{ fill: "var(--muted)", fontSize: 12 }} />
+              <Tooltip contentStyle={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 10 }} />
+              <Bar dataKey="value" name="Tasks" radius={[6, 6, 0, 0]}>
+                {byPriority.map((entry, i) => <Cell key={i} fill={entry.color} />)}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+
+        <div className="chart-card">
+          <div className="chart-title">🥧 Priority Distribution</div>
+          <ResponsiveContainer width="100%" height={200}>
+            <PieChart>
+              <Pie data={byPriority} cx="50%" cy="50%" outerRadius={80} dataKey="value" label={({ name, percent }) => `${name} ${(percent * 100).toFixed(0)}%`}>
+                {byPriority.map((entry, i) => <Cell key={i} fill={entry.color} />)}
+              </Pie>
+              <Tooltip contentStyle={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 10 }} />
+            </PieChart>
+          </ResponsiveContainer>
+        </div>
+
+        <div className="chart-card">
+          <div className="chart-title">✅ Completion vs Pending</div>
+          <ResponsiveContainer width="100%" height={200}>
+            <BarChart data={[{ name: "Status", Completed: completed, Pending: total - completed }]}>
+              <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+              <XAxis dataKey="name" tick={{ fill: "var(--muted)", fontSize: 12 }} />
+              <YAxis tick={{ fill: "var(--muted)", fontSize: 12 }} />
+              <Tooltip contentStyle={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 10 }} />
+              <Bar dataKey="Completed" fill="#43e8d8" radius={[6, 6, 0, 0]} />
+              <Bar dataKey="Pending" fill="#7c6af7" radius={[6, 6, 0, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+
+        {[{ title: "📁 Tasks by Project", data: byProject, empty: "No tasks are assigned to a project yet." },
+          { title: "🏷️ Tasks by Tag", data: byTag, empty: "No tagged tasks yet." }].map(c => (
+          <div key={c.title} className="chart-card">
+            <div className="chart-title">{c.title}</div>
+            {c.data.length === 0 ? <div className="chart-empty">{c.empty}</div> : (
+              <ResponsiveContainer width="100%" height={200}>
+                <BarChart data={c.data}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+                  <XAxis dataKey="name" tick={{ fill: "var(--muted)", fontSize: 12 }} />
+                  <YAxis allowDecimals={false} tick={{ fill: "var(--muted)", fontSize: 12 }} />
+                  <Tooltip contentStyle={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 10 }} />
+                  <Bar dataKey="value" name="Tasks" radius={[6, 6, 0, 0]}>
+                    {c.data.map((entry, i) => <Cell key={i} fill={entry.color} />)}
+                  </Bar>
+                  <Bar dataKey="completed" name="Completed" fill="#43e8d8" fillOpacity={0.5} radius={[6, 6, 0, 0]} />
+                </BarChart>
+              </ResponsiveContainer>
+            )}
+          </div>
+        ))}
+
+        {[{ title: "⏱ Estimated vs Actual (recent tasks)", data: timeByTask },
+          { title: "⏱ Estimated vs Actual by Priority", data: timeByPriority }].map(c => (
+          <div key={c.title} className="chart-card">
+            <div className="chart-title">{c.title}</div>
+            {timeByTask.length === 0 ? <div className="chart-empty">Track time on a task and complete it to compare.</div> : (
+              <ResponsiveContainer width="100%" height={200}>
+                <BarChart data={c.data}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+                  <XAxis dataKey="name" tick={{ fill: "var(--muted)", fontSize: 12 }} />
+                  <YAxis tick={{ fill: "var(--muted)", fontSize: 12 }} unit="h" />
+                  <Tooltip contentStyle={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 10 }} />
+                  <Bar dataKey="estimated" name="Estimated" fill="#7c6af7" radius={[6, 6, 0, 0]} />
+                  <Bar dataKey="actual" name="Actual" fill="#f59e0b" radius={[6, 6, 0, 0]} />
+                </BarChart>
+              </ResponsiveContainer>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// ─── AI Suggestions Page ──────────────────────────────────────────────────────
+const FACTOR_COLORS = { priority: "var(--accent)", urgency: "var(--high)", efficiency: "var(--accent3)", unblocks: "var(--medium)" };
+
+// One bar segment per factor, sized by the points it contributed.
+function ScoreBar({ score }) {
+  return (
+    <div className="score-bar" title={score.factors.map(f => `${f.label}: ${f.points.toFixed(2)}`).join("\n")}>
+      {score.factors.filter(f => f.points > 0).map(f => (
+        <div key={f.key} style={{ flexGrow: f.points, background: FACTOR_COLORS[f.key] || "var(--muted)" }} />
+      ))}
+    </div>
+  );
+}
+
+function AISuggestionsPage({ tasks, allTasks, settings, saveSettings, events, ranking, choices, onResetLearning, onStartFocus }) {
+  const [open, setOpen] = useState(null);
+  const pending = tasks.filter(t => !t.completed);
+  const bias = AIEngine.estimationBias(tasks);
+  const scores = AIEngine.scores(pending, { bias, weights: ranking.weights });
+  const suggested = AIEngine.suggestOrder(pending, { bias, weights: ranking.weights });
+  const { fit } = ranking;
+  const pace = AIEngine.completionPace(allTasks);
+  const risks = AIEngine.deadlineRisk(allTasks, { workday: settings.workday, events }).filter(r => tasks.includes(r.task));
   const tips = [
     "🧠 Use time-blocking: schedule your highest-priority task first thing.",
     "🍅 Try the Pomodoro Technique: 25 min focused work, 5 min break.",
@@ -589,15 +3856,20 @@ function AISuggestionsPage({ tasks }) {
       <div className="section" style={{ marginBottom: 20 }}>
         <div className="section-header">
           <span className="section-title">🤖 AI-Suggested Task Order</span>
-          <span style={{ fontSize: 12, color: "var(--muted)" }}>Ranked by priority × urgency × effort</span>
+          <span style={{ fontSize: 12, color: "var(--muted)" }}>
+            Ranked by priority, urgency and effort — {fit ? "weights learned from your choices" : "weights in Settings"}
+            {bias !== 1 && ` · your tasks take ${bias.toFixed(1)}× your estimates`}
+          </span>
         </div>
         <ul className="suggest-list">
           {suggested.length === 0 ? (
             <li style={{ padding: "30px", textAlign: "center", color: "var(--muted)" }}>No pending tasks! You're all caught up 🎉</li>
           ) : suggested.map((t, i) => {
             const overdue = t.deadline && new Date(t.deadline) < new Date();
+            const score = scores.get(t.id);
+            const blockers = openBlockers(t, pending);
             return (
-              <li key={t.id} className="suggest-item">
+              <li key={t.id} className="suggest-item" style={{ flexWrap: "wrap" }}>
                 <div className="suggest-num">{i + 1}</div>
                 <div style={{ flex: 1 }}>
                   <div style={{ fontWeight: 500, fontSize: 14 }}>{t.title}</div>
@@ -605,21 +3877,101 @@ function AISuggestionsPage({ tasks }) {
                     <span className={`badge badge-${t.priority}`}>{t.priority}</span>
                     {t.deadline && <span style={{ fontSize: 11, color: overdue ? "var(--high)" : "var(--muted)" }}>{overdue ? "⚠️ Overdue" : `Due ${new Date(t.deadline).toLocaleDateString()}`}</span>}
                     {t.estimatedTime > 0 && <span style={{ fontSize: 11, color: "var(--muted)" }}>~{t.estimatedTime}h</span>}
+                    {risks.some(r => r.task === t) && <span className="badge badge-high">at risk</span>}
                   </div>
                 </div>
                 {i === 0 && <span style={{ background: "rgba(124,106,247,0.2)", color: "var(--accent)", fontSize: 11, fontWeight: 700, padding: "4px 10px", borderRadius: 20 }}>START HERE</span>}
+                <button className="score-toggle" onClick={() => setOpen(o => o === t.id ? null : t.id)} title="Why this rank?">
+                  <ScoreBar score={score} /> {score.total.toFixed(2)} {open === t.id ? "▾" : "▸"}
+                </button>
+                {open === t.id && (
+                  <div className="score-detail">
+                    {score.factors.map(f => (
+                      <div key={f.key} className="score-row">
+                        <span className="score-dot" style={{ background: FACTOR_COLORS[f.key] || "var(--muted)" }} />
+                        <span className="score-label">{f.label}</span>
+                        <span style={{ flex: 1, color: "var(--muted)" }}>{f.why}</span>
+                        <span className="score-math">{Math.round(f.raw * 100) / 100} × {f.weight} = <b>{f.points.toFixed(2)}</b></span>
+                      </div>
+                    ))}
+                    {blockers.length > 0 && (
+                      <div className="score-row" style={{ color: "var(--muted)" }}>🔒 Ranked after {blockers.map(b => b.title).join(", ")}, which it's waiting on</div>
+                    )}
+                  </div>
+                )}
               </li>
             );
           })}
         </ul>
       </div>
 
+      <div className="section" style={{ marginBottom: 20 }}>
+        <div className="section-header">
+          <span className="section-title">🧠 Learned Ranking</span>
+          <label className="data-option">
+            <input type="checkbox" checked={settings.adaptive} onChange={e => saveSettings({ ...settings, adaptive: e.target.checked })} /> Learn from what I complete
+          </label>
+        </div>
+        <div className="settings-body" style={{ maxWidth: 640 }}>
+          {!settings.adaptive ? (
+            <p className="settings-note">Off — the queue uses the weights set in Settings. Your choices are still recorded, so switching back on picks up where it left off.</p>
+          ) : fit ? (
+            <>
+              <p className="settings-note">
+                Fitted to your last {fit.choices} completions: you took the top suggestion {fit.tookTop} time{fit.tookTop === 1 ? "" : "s"};
+                the learned weights would have picked the task you chose {fit.predicted} time{fit.predicted === 1 ? "" : "s"}.
+              </p>
+              {WEIGHTED_FACTORS.map(f => (
+                <div key={f.key} className="weight-row">
+                  <span className="score-dot" style={{ background: FACTOR_COLORS[f.key] || "var(--muted)" }} />
+                  <span className="score-label">{f.label}</span>
+                  <div className="learned-bar"><div style={{ width: `${Math.min(100, fit.weights[f.key] * 100)}%`, background: FACTOR_COLORS[f.key] || "var(--muted)" }} /></div>
+                  <span className="score-math" style={{ width: "auto" }}>{settings.weights[f.key].toFixed(2)} → <b>{fit.weights[f.key].toFixed(2)}</b></span>
+                </div>
+              ))}
+            </>
+          ) : (
+            <p className="settings-note">
+              Learning from what you complete — {choices.length} of {LEARN_MIN_CHOICES} choices recorded so far.
+              Until then the queue uses the standard formula with the weights from Settings.
+            </p>
+          )}
+          {choices.length > 0 && <button className="btn btn-ghost btn-sm" onClick={onResetLearning}>Reset Learning</button>}
+        </div>
+      </div>
+
+      <div className="section" style={{ marginBottom: 20 }}>
+        <div className="section-header">
+          <span className="section-title">⏳ Deadline Risk</span>
+          <span style={{ fontSize: 12, color: "var(--muted)" }}>
+            Open work vs. working time before each deadline, next {PLAN_DAYS} days
+            {pace !== null && ` · your pace: ${pace.toFixed(1)}h of estimated work per day worked`}
+          </span>
+        </div>
+        <ul className="suggest-list">
+          {risks.length === 0 ? (
+            <li style={{ padding: "30px", textAlign: "center", color: "var(--muted)" }}>Every upcoming deadline fits in your working time ✅</li>
+          ) : risks.map(({ task, why }) => (
+            <li key={task.id} className="suggest-item">
+              <div style={{ flex: 1 }}>
+                <div style={{ fontWeight: 500, fontSize: 14 }}>{task.title}</div>
+                <div style={{ fontSize: 12, color: "var(--muted)", marginTop: 4, lineHeight: 1.5 }}>{why}</div>
+              </div>
+              <span className={`badge badge-${task.priority}`}>{task.priority}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+
       <div className="section">
         <div className="section-header"><span className="section-title">💡 Productivity Tips</span></div>
         <ul className="suggest-list">
           {tips.map((tip, i) => (
             <li key={i} className="suggest-item">
-              <div style={{ fontSize: 14, color: "var(--text)" }}>{tip}</div>
+              <div style={{ fontSize: 14, color: "var(--text)", flex: 1 }}>{tip}</div>
+              {tip.startsWith("🍅") && suggested.length > 0 && (
+                <button className="btn btn-ghost btn-sm" onClick={onStartFocus}>Start Focus →</button>
+              )}
             </li>
           ))}
         </ul>
@@ -628,66 +3980,928 @@ function AISuggestionsPage({ tasks }) {
   );
 }
 
+// ─── Focus Page ───────────────────────────────────────────────────────────────
+// readOnly (workspace viewers): a session would log pomodoros on the task, so none can be started.
+function FocusPage({ tasks, saveTasks, userId, settings, saveSettings, weights, readOnly }) {
+  const cfg = settings.pomodoro;
+  const [session, setSession] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  const saveSession = (s) => { setSession(s); DB.saveFocus(userId, s); };
+
+  useEffect(() => { DB.getFocus(userId).then(setSession); }, [userId]);
+
+  const pending = tasks.filter(t => !t.completed);
+  const top = AIEngine.suggestOrder(pending, { bias: AIEngine.estimationBias(tasks), weights })[0];
+  const task = session ? tasks.find(t => t.id === session.taskId) : top;
+
+  useEffect(() => {
+    if (!session || session.phase === "ready") return;
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [session]);
+
+  // Log every finished work block against the task: as a pomodoro, and as tracked time unless its own timer was running.
+  useEffect(() => {
+    if (!session || session.phase === "ready" || now < session.endsAt) return;
+    const { session: next, finished } = Pomodoro.advance(session, cfg, now);
+    saveTasks(tasks.map(t => t.id !== session.taskId ? t : {
+      ...t,
+      pomodoros: [...(t.pomodoros || []), ...finished],
+      timeEntries: runningEntry(t) ? t.timeEntries : [...(t.timeEntries || []), ...finished.map((f, i) => ({ id: `${Date.now()}${i}`, ...f }))],
+    }));
+    saveSession(next);
+  }, [now]);
+
+  // The task was completed or deleted somewhere else — the session has nothing left to focus on.
+  useEffect(() => {
+    if (session && !tasks.some(t => t.id === session.taskId && !t.completed)) saveSession(null);
+  }, [tasks]);
+
+  const start = () => { const t = Date.now(); setNow(t); saveSession(Pomodoro.start(task.id, cfg, t, session?.cycles || 0)); };
+  const skipBreak = () => saveSession({ ...session, phase: "ready", startedAt: null, endsAt: null });
+  const finish = () => { saveTasks(toggleCompletion(tasks, task.id)); saveSession(null); };
+  const setCfg = (key, value) => saveSettings({ ...settings, pomodoro: { ...cfg, [key]: Math.max(1, Number(value) || 1) } });
+
+  const left = session?.endsAt ? Math.max(0, session.endsAt - now) : cfg.work * 60000;
+  const clock = `${pad2(Math.floor(left / 60000))}:${pad2(Math.floor(left / 1000) % 60)}`;
+  const today = (task?.pomodoros || []).filter(p => new Date(p.end).toDateString() === new Date().toDateString()).length;
+  const phaseLabel = !session ? "Ready to focus" : session.phase === "work" ? "Focus" : session.phase === "break" ? "Break" : "Break's over";
+
+  return (
+    <div className="content">
+      <div className="section" style={{ marginBottom: 20 }}>
+        <div className="section-header">
+          <span className="section-title">🍅 Focus Mode</span>
+          <span style={{ fontSize: 12, color: "var(--muted)" }}>{session ? `${session.cycles} pomodoro${session.cycles === 1 ? "" : "s"} this session` : "Top task from your AI queue"}</span>
+        </div>
+        {!task ? (
+          <div style={{ padding: "40px", textAlign: "center", color: "var(--muted)" }}>No pending tasks to focus on 🎉</div>
+        ) : (
+          <div className="focus-body">
+            <div style={{ fontWeight: 600, fontSize: 16 }}>{task.title}</div>
+            <div style={{ display: "flex", gap: 8, justifyContent: "center", marginTop: 6 }}>
+              <span className={`badge badge-${task.priority}`}>{task.priority}</span>
+              {task.estimatedTime > 0 && <span className="task-date">~{task.estimatedTime}h</span>}
+              <span className="task-date">🍅 {today} today</span>
+            </div>
+            <div className={`focus-phase ${session?.phase || ""}`}>{phaseLabel}</div>
+            <div className="focus-clock">{clock}</div>
+            <div style={{ display: "flex", gap: 10, justifyContent: "center", flexWrap: "wrap" }}>
+              {(!session || session.phase === "ready") && (
+                <button className="btn btn-primary btn-sm" style={{ width: "auto" }} onClick={start} disabled={readOnly}>
+                  ▶ {session ? "Next Pomodoro" : `Start ${cfg.work}-min Focus`}
+                </button>
+              )}
+              {session?.phase === "break" && <button className="btn btn-ghost btn-sm" onClick={skipBreak}>Skip Break</button>}
+              {session && !readOnly && <button className="btn btn-ghost btn-sm" onClick={finish}><Icon.Check /> Mark Task Done</button>}
+              {session && <button className="btn btn-danger btn-sm" onClick={() => saveSession(null)}>End Session</button>}
+            </div>
+            {readOnly && <div className="settings-note" style={{ marginTop: 14 }}>👁 You're a viewer in this workspace — focus sessions can't log time on its tasks.</div>}
+          </div>
+        )}
+      </div>
+
+      <div className="section">
+        <div className="section-header"><span className="section-title">⚙️ Cycle Settings</span></div>
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 16, padding: "20px 24px 2px" }}>
+          {[["work", "Work (min)"], ["shortBreak", "Short Break (min)"], ["longBreak", "Long Break (min)"], ["longEvery", "Long Break Every"]].map(([key, label]) => (
+            <div key={key} className="field">
+              <label>{label}</label>
+              <input type="number" min="1" value={cfg[key]} onChange={e => setCfg(key, e.target.value)} />
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ─── Data Page (import / export) ──────────────────────────────────────────────
+const IMPORT_STATUS = {
+  new: { label: "New", badge: "badge-low" },
+  update: { label: "Update", badge: "badge-medium" },
+  same: { label: "Unchanged", badge: "badge-muted" },
+  skip: { label: "Kept existing", badge: "badge-muted" },
+  invalid: { label: "Invalid", badge: "badge-high" },
+};
+
+function ImportReport({ items }) {
+  return (
+    <div className="import-report">
+      <div style={{ fontWeight: 600, marginBottom: 6 }}>Not everything could be mapped:</div>
+      {items.map(({ message, count }) => <div key={message}>• {message}{count > 1 ? ` (${count})` : ""}</div>)}
+    </div>
+  );
+}
+
+// readOnly (workspace viewers): export only.
+function DataPage({ tasks, saveTasks, projects, setProjects, settings, saveSettings, readOnly }) {
+  const [pending, setPending] = useState(null);
+  const [onDuplicate, setOnDuplicate] = useState("replace");
+  const [err, setErr] = useState("");
+  const [done, setDone] = useState("");
+  const [report, setReport] = useState([]);
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  const exportAs = (kind) => {
+    if (kind === "json") downloadFile(`taskflow-backup-${stamp}.json`, JSON.stringify(Transfer.toBackup({ tasks, projects, settings }), null, 2), "application/json");
+    if (kind === "csv") downloadFile(`taskflow-tasks-${stamp}.csv`, Transfer.toCSV(tasks, projects), "text/csv");
+    if (kind === "ics") downloadFile(`taskflow-tasks-${stamp}.ics`, Transfer.toICS(tasks), "text/calendar");
+  };
+
+  const readFile = async (file) => {
+    setErr("");
+    setDone("");
+    setReport([]);
+    if (!file) return;
+    if (readOnly) return setErr("Viewers can't import into this workspace.");
+    try {
+      const text = await file.text();
+      const ext = file.name.split(".").pop().toLowerCase();
+      if (ext === "csv") {
+        const rows = Transfer.parseCSV(text);
+        if (rows.length < 2) throw new Error("That CSV has no rows to import.");
+        if (Importers.todoist.detectCSV(rows)) setPending({ kind: "app", source: "Todoist", name: file.name, ...Importers.todoist.parseCSV(rows) });
+        else setPending({ kind: "csv", name: file.name, rows, mapping: Transfer.guessMapping(rows[0]) });
+      } else if (ext === "ics" || ext === "ical") {
+        setPending({ kind: "ics", name: file.name, tasks: Transfer.fromICS(text) });
+      } else {
+        const data = JSON.parse(text);
+        const source = data?.format !== BACKUP_FORMAT && detectImporter(data);
+        if (source) setPending({ kind: "app", source: Importers[source].label, name: file.name, ...Importers[source].parse(data) });
+        else setPending({ kind: "json", name: file.name, ...Transfer.fromBackup(text) });
+      }
+    } catch (e) {
+      setErr(e instanceof SyntaxError ? "Couldn't parse that file." : e.message);
+    }
+  };
+
+  // Everything below is derived on each render, so changing the column mapping or duplicate rule re-runs the dry run.
+  const baseProjects = pending?.projects
+    ? [...projects.filter(p => !pending.projects.some(b => b.id === p.id)), ...pending.projects]
+    : projects;
+  const incoming = !pending ? [] : pending.kind === "csv" ? Transfer.fromCSV(pending.rows, pending.mapping) : pending.tasks;
+  const { tasks: linked, newProjects } = Transfer.linkProjects(incoming, baseProjects);
+  const plan = pending && Transfer.plan(tasks, linked, { onDuplicate });
+  const writes = plan ? (plan.counts.new || 0) + (plan.counts.update || 0) : 0;
+
+  const apply = () => {
+    if (readOnly) return setErr("Viewers can't import into this workspace.");
+    const list = Transfer.apply(tasks, plan);
+    saveTasks(list);
+    if (pending.projects || newProjects.length) setProjects([...baseProjects, ...newProjects]);
+    if (pending.settings) saveSettings(withDefaults(pending.settings));
+    setDone(`Imported ${plan.counts.new || 0} new and updated ${plan.counts.update || 0} existing task${plan.counts.update === 1 ? "" : "s"}${pending.settings ? ", and restored your settings" : ""}.`);
+    setReport(pending.report || []);
+    setPending(null);
+  };
+
+  const setColumn = (key, index) => setPending(p => ({ ...p, mapping: { ...p.mapping, [key]: Number(index) } }));
+
+  return (
+    <div className="content">
+      <div className="section" style={{ marginBottom: 20 }}>
+        <div className="section-header">
+          <span className="section-title">⬇️ Export</span>
+          <span style={{ fontSize: 12, color: "var(--muted)" }}>{tasks.length} task{tasks.length === 1 ? "" : "s"}</span>
+        </div>
+        <div className="data-actions">
+          <button className="btn btn-ghost btn-sm" onClick={() => exportAs("json")}>JSON backup (tasks, projects & settings)</button>
+          <button className="btn btn-ghost btn-sm" onClick={() => exportAs("csv")}>CSV spreadsheet</button>
+          <button className="btn btn-ghost btn-sm" onClick={() => exportAs("ics")}>iCalendar (.ics) to-dos</button>
+        </div>
+      </div>
+
+      <div className="section">
+        <div className="section-header">
+          <span className="section-title">⬆️ Import</span>
+          <span style={{ fontSize: 12, color: "var(--muted)" }}>TaskFlow backup, CSV, .ics, or a Todoist / Trello / Microsoft To Do export — nothing is written until you confirm</span>
+        </div>
+        <div className="data-actions">
+          <input type="file" accept=".json,.csv,.ics,.ical" disabled={readOnly} onChange={e => { readFile(e.target.files[0]); e.target.value = ""; }} />
+          <label className="data-option">
+            When a task already exists:
+            <select value={onDuplicate} onChange={e => setOnDuplicate(e.target.value)}>
+              <option value="replace">update it from the file</option>
+              <option value="keep">keep my version</option>
+            </select>
+          </label>
+        </div>
+        {readOnly && <div className="settings-note" style={{ margin: "0 24px 20px" }}>👁 You're a viewer in this workspace — you can export its tasks but not import into it.</div>}
+        {err && <div className="err" style={{ margin: "0 24px 20px" }}>{err}</div>}
+        {done && <div className="ok" style={{ margin: "0 24px 20px" }}>{done}</div>}
+        {!pending && report.length > 0 && <ImportReport items={report} />}
+
+        {pending?.kind === "csv" && (
+          <div className="mapping-grid">
+            {CSV_COLUMNS.map(({ key, label }) => (
+              <div key={key} className="field">
+                <label>{label}</label>
+                <select value={pending.mapping[key]} onChange={e => setColumn(key, e.target.value)}>
+                  <option value={-1}>— don't import —</option>
+                  {pending.rows[0].map((h, i) => <option key={i} value={i}>{h || `Column ${i + 1}`}</option>)}
+                </select>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {plan && (
+          <>
+            <div className="import-summary">
+              <strong>{pending.name}</strong>
+              {pending.source && <span className="badge badge-muted">{pending.source} export</span>}
+              {Object.entries(IMPORT_STATUS).filter(([k]) => plan.counts[k]).map(([k, v]) => (
+                <span key={k} className={`badge ${v.badge}`}>{plan.counts[k]} {v.label.toLowerCase()}</span>
+              ))}
+              {plan.duplicatesInFile > 0 && <span className="badge badge-muted">{plan.duplicatesInFile} repeated id{plan.duplicatesInFile === 1 ? "" : "s"} in file (last kept)</span>}
+              {newProjects.length > 0 && <span className="badge badge-muted">+{newProjects.length} project{newProjects.length === 1 ? "" : "s"}</span>}
+              {pending.settings && <span className="badge badge-medium">settings will be restored</span>}
+            </div>
+            {pending.report?.length > 0 && <ImportReport items={pending.report} />}
+            <div className="import-preview">
+              {plan.rows.map((r, i) => (
+                <div key={i} className="import-row">
+                  <span className={`badge ${IMPORT_STATUS[r.status].badge}`}>{IMPORT_STATUS[r.status].label}</span>
+                  <span className="import-title">{r.task.title}</span>
+                  <span className="task-date">
+                    {r.status === "invalid" ? r.errors.join("; ") : r.changes ? `changes ${r.changes.join(", ")}` : r.task.deadline ? `due ${new Date(r.task.deadline).toLocaleDateString()}` : ""}
+                  </span>
+                </div>
+              ))}
+            </div>
+            <div className="data-actions" style={{ justifyContent: "flex-end" }}>
+              <button className="btn btn-ghost btn-sm" onClick={() => setPending(null)}>Cancel</button>
+              <button className="btn btn-primary btn-sm" style={{ width: "auto" }} disabled={!writes && !pending.settings} onClick={apply}>
+                Import {writes} task{writes === 1 ? "" : "s"}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ─── Trash Page ───────────────────────────────────────────────────────────────
+function TrashPage({ trash, userId, members, settings, saveSettings, readOnly, onRestore, onPurge }) {
+  const [days, setDays] = useState(settings.trashDays);
+  useEffect(() => setDays(settings.trashDays), [settings.trashDays]);
+
+  const sorted = [...trash].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  const who = (id) => id === userId ? "you" : members?.find(m => m.userId === id)?.name || "someone";
+  const daysLeft = (t) => Math.max(0, Math.ceil(settings.trashDays - (Date.now() - new Date(t.deletedAt)) / 86400000));
+  const saveDays = () => {
+    const n = Math.min(365, Math.max(1, Math.round(Number(days)) || DEFAULT_SETTINGS.trashDays));
+    setDays(n);
+    if (n !== settings.trashDays) saveSettings({ ...settings, trashDays: n });
+  };
+
+  return (
+    <div className="content">
+      <div className="section">
+        <div className="section-header">
+          <span className="section-title">🗑 Trash</span>
+          <div style={{ display: "flex", gap: 12, alignItems: "center" }}>
+            <label className="data-option">
+              Empty after
+              <input type="number" min="1" max="365" value={days} onChange={e => setDays(e.target.value)} onBlur={saveDays} onKeyDown={e => e.key === "Enter" && saveDays()} style={{ width: 64 }} />
+              days
+            </label>
+            {!readOnly && sorted.length > 0 && <button className="btn btn-danger btn-sm" onClick={() => onPurge(sorted.map(t => t.id))}>Empty Trash</button>}
+          </div>
+        </div>
+        {sorted.length === 0 ? (
+          <div style={{ padding: "40px", textAlign: "center", color: "var(--muted)" }}>
+            <div style={{ fontSize: 40, marginBottom: 12 }}>🗑</div>
+            <div style={{ fontSize: 14 }}>Nothing here. Deleted tasks wait in the Trash for {settings.trashDays} days before they're gone for good.</div>
+          </div>
+        ) : (
+          <ul className="suggest-list">
+            {sorted.map(t => (
+              <li key={t.id} className="suggest-item">
+                <div style={{ flex: 1 }}>
+                  <div className="task-title">{t.title}</div>
+                  <div className="task-meta">
+                    <span className={`badge badge-${t.priority}`}>{t.priority}</span>
+                    <span className="task-date" title={new Date(t.deletedAt).toLocaleString()}>Deleted {timeAgo(t.deletedAt)} by {who(t.deletedBy)}</span>
+                    <span className="task-date">{daysLeft(t) === 0 ? "Purged today" : `Purged in ${daysLeft(t)} day${daysLeft(t) === 1 ? "" : "s"}`}</span>
+                  </div>
+                </div>
+                {!readOnly && (
+                  <div style={{ display: "flex", gap: 8 }}>
+                    <button className="btn btn-ghost btn-sm" onClick={() => onRestore([t.id])}>Restore</button>
+                    <button className="btn btn-danger btn-sm" onClick={() => onPurge([t.id])}>Delete Forever</button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      <div className="settings-note" style={{ marginTop: 12 }}>Restoring or deleting forever can be undone with Ctrl+Z (⌘Z) while the app is open.</div>
+    </div>
+  );
+}
+
+// ─── Team Page ────────────────────────────────────────────────────────────────
+function TeamPage({ user, workspaces, workspaceId, onSwitch, onChange }) {
+  const [name, setName] = useState("");
+  const [invite, setInvite] = useState({}); // wsId → { email, role }
+  const [err, setErr] = useState("");
+  const local = DB.mode === "local";
+
+  // Every action goes through the stand-in's role checks; its error (e.g. a 403) is shown as is.
+  const run = (action) => async () => {
+    setErr("");
+    try {
+      await action();
+      await onChange();
+    } catch (e) {
+      setErr(e.message);
+    }
+  };
+  const inviteFor = (id) => invite[id] || { email: "", role: "editor" };
+  const setInviteFor = (id, patch) => setInvite(x => ({ ...x, [id]: { ...inviteFor(id), ...patch } }));
+
+  if (!local) return (
+    <div className="content">
+      <div className="section"><div className="settings-body settings-note">Team workspaces run against the local stand-in for now; the API server doesn't have team routes yet.</div></div>
+    </div>
+  );
+
+  return (
+    <div className="content">
+      <div className="section" style={{ marginBottom: 20 }}>
+        <div className="section-header"><span className="section-title">👥 New Workspace</span></div>
+        <div className="settings-body" style={{ display: "flex", gap: 8, maxWidth: 640 }}>
+          <div className="field" style={{ flex: 1, marginBottom: 0 }}>
+            <input value={name} onChange={e => setName(e.target.value)} placeholder="Workspace name, e.g. Marketing" />
+          </div>
+          <button className="btn btn-primary btn-sm" style={{ width: "auto" }} onClick={run(async () => {
+            const ws = await DB.createWorkspace(user.id, name);
+            setName("");
+            onSwitch(ws.id);
+          })}>Create</button>
+        </div>
+        {err && <div className="err" style={{ margin: "0 24px 20px" }}>{err}</div>}
+      </div>
+
+      {workspaces.length === 0 && (
+        <div className="section">
+          <div className="settings-body settings-note">
+            You're not in any workspace yet. Create one and add teammates by the email they registered with — here that means
+            accounts on this browser, which stands in for the team server.
+          </div>
+        </div>
+      )}
+
+      {workspaces.map(ws => {
+        const role = memberRole(ws, user.id);
+        const owner = role === "owner";
+        return (
+          <div key={ws.id} className="section" style={{ marginBottom: 20 }}>
+            <div className="section-header">
+              <span className="section-title">{ws.name}</span>
+              <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                <span className="badge badge-muted">{ROLES[role]}</span>
+                {ws.id === workspaceId
+                  ? <span className="badge badge-low">Open</span>
+                  : <button className="btn btn-ghost btn-sm" onClick={() => onSwitch(ws.id)}>Open</button>}
+                {owner
+                  ? <button className="btn btn-danger btn-sm" onClick={run(() => DB.deleteWorkspace(ws.id, user.id))}>Delete</button>
+                  : <button className="btn btn-ghost btn-sm" onClick={run(() => DB.removeMember(ws.id, user.id, user.id))}>Leave</button>}
+              </div>
+            </div>
+            <ul className="suggest-list">
+              {ws.members.map(m => (
+                <li key={m.userId} className="suggest-item" style={{ padding: "10px 24px" }}>
+                  <div className="avatar" style={{ width: 30, height: 30, fontSize: 12 }}>{m.name[0]?.toUpperCase()}</div>
+                  <div style={{ flex: 1 }}>
+                    <div style={{ fontSize: 14, fontWeight: 500 }}>{m.name}{m.userId === user.id && " (you)"}</div>
+                    <div style={{ fontSize: 12, color: "var(--muted)" }}>{m.email}</div>
+                  </div>
+                  {owner && m.role !== "owner" ? (
+                    <>
+                      <label className="data-option">
+                        <select value={m.role} onChange={e => run(() => DB.setMemberRole(ws.id, user.id, m.userId, e.target.value))()}>
+                          <option value="editor">{ROLES.editor}</option>
+                          <option value="viewer">{ROLES.viewer}</option>
+                        </select>
+                      </label>
+                      <button className="btn btn-ghost btn-sm" onClick={run(() => DB.removeMember(ws.id, user.id, m.userId))}><Icon.Trash /></button>
+                    </>
+                  ) : <span className="badge badge-muted">{ROLES[m.role]}</span>}
+                </li>
+              ))}
+            </ul>
+            {owner && (
+              <div className="settings-body" style={{ display: "flex", gap: 8, maxWidth: 640, alignItems: "center" }}>
+                <div className="field" style={{ flex: 1, marginBottom: 0 }}>
+                  <input value={inviteFor(ws.id).email} onChange={e => setInviteFor(ws.id, { email: e.target.value })} placeholder="teammate@example.com" />
+                </div>
+                <label className="data-option">
+                  <select value={inviteFor(ws.id).role} onChange={e => setInviteFor(ws.id, { role: e.target.value })}>
+                    <option value="editor">{ROLES.editor}</option>
+                    <option value="viewer">{ROLES.viewer}</option>
+                  </select>
+                </label>
+                <button className="btn btn-primary btn-sm" style={{ width: "auto" }} onClick={run(async () => {
+                  await DB.addMember(ws.id, user.id, inviteFor(ws.id).email, inviteFor(ws.id).role);
+                  setInviteFor(ws.id, { email: "" });
+                })}>Add Member</button>
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// ─── Settings Page ────────────────────────────────────────────────────────────
+const PREVIEW_SIZE = 8;
+
+// Sliders for the ranking weights, with the queue re-ranked live so the effect is visible before saving.
+function RankingWeights({ tasks, settings, saveSettings, learned }) {
+  const [weights, setWeights] = useState(settings.weights);
+  useEffect(() => setWeights(settings.weights), [settings.weights]);
+
+  const pending = tasks.filter(t => !t.completed);
+  const bias = AIEngine.estimationBias(tasks);
+  const current = AIEngine.suggestOrder(pending, { bias, weights: settings.weights });
+  const preview = AIEngine.suggestOrder(pending, { bias, weights }).slice(0, PREVIEW_SIZE);
+  const changed = WEIGHTED_FACTORS.some(f => weights[f.key] !== settings.weights[f.key]);
+  const isDefault = WEIGHTED_FACTORS.every(f => weights[f.key] === DEFAULT_SETTINGS.weights[f.key]);
+
+  return (
+    <div className="section">
+      <div className="section-header">
+        <span className="section-title">🎛 AI Ranking Weights</span>
+        {changed && <span className="badge badge-medium">Unsaved preview</span>}
+      </div>
+      <div className="settings-body" style={{ maxWidth: 640 }}>
+        <p className="settings-note">
+          How much each factor counts towards a task's score. Tasks that unblock others always get +{UNBLOCK_BOOST} per waiting task.
+          {learned && " Weights learned from your choices are in use right now (see AI Suggestions) — these are their starting point and the fallback."}
+        </p>
+        {WEIGHTED_FACTORS.map(f => (
+          <div key={f.key} className="weight-row">
+            <span className="score-dot" style={{ background: FACTOR_COLORS[f.key] || "var(--muted)" }} />
+            <span className="score-label">{f.label}</span>
+            <input type="range" min="0" max="1" step="0.05" value={weights[f.key]} onChange={e => setWeights(w => ({ ...w, [f.key]: Number(e.target.value) }))} />
+            <span className="score-math">{weights[f.key].toFixed(2)}</span>
+          </div>
+        ))}
+        {pending.length > 0 && (
+          <ul className="suggest-list" style={{ margin: "14px 0", border: "1px solid var(--border)", borderRadius: 8 }}>
+            {preview.map((t, i) => {
+              const move = current.findIndex(x => x.id === t.id) - i;
+              return (
+                <li key={t.id} className="suggest-item" style={{ padding: "8px 14px" }}>
+                  <div className="suggest-num">{i + 1}</div>
+                  <div style={{ flex: 1, fontSize: 13 }}>{t.title}</div>
+                  <span className={`rank-move ${move > 0 ? "up" : move < 0 ? "down" : ""}`}>{move > 0 ? `▲${move}` : move < 0 ? `▼${-move}` : "—"}</span>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+        <div style={{ display: "flex", gap: 8 }}>
+          <button className="btn btn-primary btn-sm" style={{ width: "auto" }} disabled={!changed} onClick={() => saveSettings({ ...settings, weights })}>Save Weights</button>
+          {changed && <button className="btn btn-ghost btn-sm" onClick={() => setWeights(settings.weights)}>Discard</button>}
+          {!isDefault && <button className="btn btn-ghost btn-sm" onClick={() => setWeights(DEFAULT_SETTINGS.weights)}>Reset to Defaults</button>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function SettingsPage({ user, tasks, settings, saveSettings, ranking }) {
+  const [encrypted, setEncrypted] = useState(false);
+  const [current, setCurrent] = useState("");
+  const [next, setNext] = useState("");
+  const [confirmPass, setConfirmPass] = useState("");
+  const [encPass, setEncPass] = useState("");
+  const [recoveryKey, setRecoveryKey] = useState("");
+  const [msg, setMsg] = useState({ pass: "", enc: "" });
+  const [err, setErr] = useState({ pass: "", enc: "" });
+  const local = DB.mode === "local";
+
+  useEffect(() => { if (local) DB.getKeyRecord(user.id).then(r => setEncrypted(!!r)); }, [user.id]);
+
+  // Runs one form's action and reports success or failure next to that form.
+  const run = (form, action, success) => async () => {
+    setMsg(m => ({ ...m, [form]: "" }));
+    setErr(e => ({ ...e, [form]: "" }));
+    try {
+      await action();
+      setMsg(m => ({ ...m, [form]: success }));
+    } catch (e) {
+      setErr(x => ({ ...x, [form]: e.message }));
+    }
+  };
+
+  const changePassword = run("pass", async () => {
+    if (!current || !next) throw new Error("Please fill in all fields.");
+    if (next !== confirmPass) throw new Error("New passwords don't match.");
+    await DB.changePassword(user.id, current, next);
+    setCurrent(""); setNext(""); setConfirmPass("");
+  }, encrypted ? "Password changed — your encryption key was re-wrapped with it." : "Password changed.");
+
+  const enable = run("enc", async () => {
+    setRecoveryKey(await DB.enableEncryption(user.id, encPass));
+    setEncrypted(true);
+    setEncPass("");
+  }, "Encryption is on. Save your recovery key now — it won't be shown again.");
+
+  const disable = run("enc", async () => {
+    await DB.disableEncryption(user.id, encPass);
+    setEncrypted(false);
+    setRecoveryKey("");
+    setEncPass("");
+  }, "Encryption is off. Tasks are stored as plain JSON again.");
+
+  const recoveryFile = `TaskFlow AI recovery key for ${user.email}\n\n${recoveryKey}\n\nUse it from "Forgot password?" on the sign-in screen.\n`;
+
+  return (
+    <div className="content">
+      <div className="section" style={{ marginBottom: 20 }}>
+        <div className="section-header"><span className="section-title">🔑 Password</span></div>
+        {local ? (
+          <div className="settings-body">
+            <div className="field"><label>Current Password</label><input type="password" value={current} onChange={e => setCurrent(e.target.value)} /></div>
+            <div className="field"><label>New Password</label><input type="password" value={next} onChange={e => setNext(e.target.value)} /></div>
+            <div className="field"><label>Confirm New Password</label><input type="password" value={confirmPass} onChange={e => setConfirmPass(e.target.value)} onKeyDown={e => e.key === "Enter" && changePassword()} /></div>
+            {err.pass && <div className="err">{err.pass}</div>}
+            {msg.pass && <div className="ok">{msg.pass}</div>}
+            <button className="btn btn-primary btn-sm" style={{ width: "auto", marginTop: 12 }} onClick={changePassword}>Change Password</button>
+          </div>
+        ) : (
+          <div className="settings-body settings-note">Your account lives on the API server; password changes aren't available from this client yet.</div>
+        )}
+      </div>
+
+      <div className="section" style={{ marginBottom: 20 }}>
+        <div className="section-header">
+          <span className="section-title">🔒 Encryption at Rest</span>
+          {local && <span className={`badge ${encrypted ? "badge-low" : "badge-medium"}`}>{encrypted ? "On" : "Off"}</span>}
+        </div>
+        {local ? (
+          <div className="settings-body">
+            <p className="settings-note">
+              {encrypted
+                ? "Your task list is encrypted with AES-GCM before it's written to this browser. It's unlocked with your password at sign-in and forgotten at sign-out."
+                : "Encrypt your task list before it's written to this browser, so nobody with access to this profile can read it without your password."}
+            </p>
+            <div className="field"><label>Confirm With Your Password</label><input type="password" value={encPass} onChange={e => setEncPass(e.target.value)} /></div>
+            {err.enc && <div className="err">{err.enc}</div>}
+            {msg.enc && <div className="ok">{msg.enc}</div>}
+            {recoveryKey && (
+              <div className="recovery-key">
+                <code>{recoveryKey}</code>
+                <div style={{ display: "flex", gap: 8, marginTop: 10 }}>
+                  <button className="btn btn-ghost btn-sm" onClick={() => downloadFile("taskflow-recovery-key.txt", recoveryFile)}>Download</button>
+                  <button className="btn btn-ghost btn-sm" onClick={() => navigator.clipboard?.writeText(recoveryKey)}>Copy</button>
+                </div>
+              </div>
+            )}
+            <button className={`btn ${encrypted ? "btn-danger" : "btn-primary"} btn-sm`} style={{ width: "auto", marginTop: 12 }} onClick={encrypted ? disable : enable}>
+              {encrypted ? "Turn Off Encryption" : "Turn On Encryption"}
+            </button>
+          </div>
+        ) : (
+          <div className="settings-body settings-note">Encryption at rest protects the browser's local store. In server mode your tasks are kept by the API server instead.</div>
+        )}
+      </div>
+
+      <RankingWeights tasks={tasks} settings={settings} saveSettings={saveSettings} learned={!!ranking.fit} />
+    </div>
+  );
+}
+
 // ─── Main App ─────────────────────────────────────────────────────────────────
 export default function App() {
   const [user, setUser] = useState(null);
   const [page, setPage] = useState("dashboard");
   const [tasks, setTasks] = useState([]);
   const [darkMode, setDarkMode] = useState(true);
+  const [projects, setProjects] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [choices, setChoices] = useState([]);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [workspaceId, setWorkspaceId] = useState(""); // "" = the personal list
+  const [comments, setComments] = useState([]);
+  const [activity, setActivity] = useState([]);
+  const [history, setHistory] = useState({ past: [], future: [] });
+  const [toast, setToast] = useState(null); // { text, action?: "undo" | "redo" }
+  const [conflicts, setConflicts] = useState([]); // edits that clashed with another tab's or teammate's, oldest first
+  const [pending, setPending] = useState([]); // server mode: ids of tasks with changes still waiting in the outbox
+  const [online, setOnline] = useState(typeof navigator === "undefined" || navigator.onLine);
+  const [scope, setScope] = useState({ project: "", tag: "" });
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [booting, setBooting] = useState(true);
+  const [authNotice, setAuthNotice] = useState("");
 
   useEffect(() => {
-    const session = DB.getSession();
-    if (session) {
-      setUser(session);
-      setTasks(DB.getTasks(session.id));
-      // Seed demo account
-      const users = DB.getUsers();
-      if (!users.find(u => u.email === "demo@task.com")) {
-        const demo = { id: "demo", name: "Demo User", email: "demo@task.com", pass: "demo123", createdAt: new Date().toISOString() };
-        DB.saveUsers([...users, demo]);
-        const sampleTasks = [
-          { id: "t1", title: "Design landing page mockup", priority: "high", deadline: new Date(Date.now() + 86400000).toISOString(), estimatedTime: 4, completed: false, createdAt: new Date().toISOString(), description: "" },
-          { id: "t2", title: "Write project proposal", priority: "high", deadline: new Date(Date.now() + 172800000).toISOString(), estimatedTime: 2, completed: false, createdAt: new Date().toISOString(), description: "" },
-          { id: "t3", title: "Review pull requests", priority: "medium", deadline: "", estimatedTime: 1, completed: true, completedAt: new Date().toISOString(), createdAt: new Date().toISOString(), description: "" },
-          { id: "t4", title: "Update documentation", priority: "low", deadline: "", estimatedTime: 3, completed: false, createdAt: new Date().toISOString(), description: "" },
-          { id: "t5", title: "Team standup notes", priority: "low", deadline: "", estimatedTime: 0.5, completed: true, completedAt: new Date().toISOString(), createdAt: new Date().toISOString(), description: "" },
-        ];
-        DB.saveTasks("demo", sampleTasks);
+    (async () => {
+      const session = await DB.getSession();
+      if (session) {
+        setUser(session);
+        DB.getTasks(session.id).then(setTasks).catch(err => {
+          if (err.locked) setAuthNotice(err.message);
+          if (err.status === 401 || err.locked) handleLogout(); else console.error(err);
+        });
+        loadDiscussion(session.id, "");
+        DB.getProjects(session.id).then(setProjects);
+        DB.getEvents(session.id).then(setEvents);
+        DB.getChoices(session.id).then(setChoices);
+        if (DB.mode === "local") DB.getWorkspaces(session.id).then(setWorkspaces);
+        DB.getSettings(session.id).then(setSettings);
+        // Seed demo account (the API server seeds its own)
+        const users = await DB.getUsers();
+        if (DB.mode === "local" && !users.find(u => u.email === "demo@task.com")) {
+          const demo = { id: "demo", name: "Demo User", email: "demo@task.com", ...(await hashPassword("demo123")), createdAt: new Date().toISOString() };
+          await DB.saveUsers([...users, demo]);
+          const sampleTasks = [
+            { id: "t1", title: "Design landing page mockup", priority: "high", deadline: new Date(Date.now() + 86400000).toISOString(), estimatedTime: 4, completed: false, createdAt: new Date().toISOString(), description: "" },
+            { id: "t2", title: "Write project proposal", priority: "high", deadline: new Date(Date.now() + 172800000).toISOString(), estimatedTime: 2, completed: false, createdAt: new Date().toISOString(), description: "" },
+            { id: "t3", title: "Review pull requests", priority: "medium", deadline: "", estimatedTime: 1, completed: true, completedAt: new Date().toISOString(), createdAt: new Date().toISOString(), description: "" },
+            { id: "t4", title: "Update documentation", priority: "low", deadline: "", estimatedTime: 3, completed: false, createdAt: new Date().toISOString(), description: "" },
+            { id: "t5", title: "Team standup notes", priority: "low", deadline: "", estimatedTime: 0.5, completed: true, completedAt: new Date().toISOString(), createdAt: new Date().toISOString(), description: "" },
+          ];
+          await DB.saveTasks("demo", sampleTasks);
+        }
+      } else {
+        // Auto-seed demo
+        const users = await DB.getUsers();
+        if (DB.mode === "local" && !users.find(u => u.email === "demo@task.com")) {
+          const demo = { id: "demo", name: "Demo User", email: "demo@task.com", ...(await hashPassword("demo123")), createdAt: new Date().toISOString() };
+          await DB.saveUsers([...users, demo]);
+        }
       }
-    } else {
-      // Auto-seed demo
-      const users = DB.getUsers();
-      if (!users.find(u => u.email === "demo@task.com")) {
-        const demo = { id: "demo", name: "Demo User", email: "demo@task.com", pass: "demo123", createdAt: new Date().toISOString() };
-        DB.saveUsers([...users, demo]);
-      }
-    }
+    })().catch(console.error).finally(() => setBooting(false));
   }, []);
 
+  // Comments and the activity log of whichever list is open.
+  const loadDiscussion = (uid, wsId) => {
+    setComments([]);
+    setActivity([]);
+    DB.getComments(uid, wsId).then(setComments).catch(console.error);
+    DB.getActivity(uid, wsId).then(setActivity).catch(console.error);
+  };
+
   const handleLogin = (u) => {
+    setAuthNotice("");
     setUser(u);
-    setTasks(DB.getTasks(u.id));
+    DB.getTasks(u.id).then(setTasks).catch(console.error);
+    loadDiscussion(u.id, "");
+    DB.getProjects(u.id).then(setProjects);
+    DB.getEvents(u.id).then(setEvents);
+    DB.getChoices(u.id).then(setChoices);
+    if (DB.mode === "local") DB.getWorkspaces(u.id).then(setWorkspaces);
+    DB.getSettings(u.id).then(setSettings);
+  };
+
+  // Keeps the sliding session alive while the app is open, and notices expiry or a sign-out from elsewhere.
+  useEffect(() => {
+    if (!user) return;
+    const id = setInterval(async () => { if (!(await DB.getSession())) handleLogout(); }, 60000);
+    return () => clearInterval(id);
+  }, [user]);
+
+  const handleLogoutEverywhere = async () => {
+    await DB.logoutEverywhere(user.id).catch(console.error);
+    handleLogout();
   };
 
   const handleLogout = () => {
     DB.clearSession();
     setUser(null);
     setTasks([]);
+    setProjects([]);
+    setEvents([]);
+    setChoices([]);
+    setWorkspaces([]);
+    setWorkspaceId("");
+    setComments([]);
+    setActivity([]);
+    setHistory({ past: [], future: [] });
+    setToast(null);
+    setConflicts([]);
+    setPending([]);
+    setSettings(DEFAULT_SETTINGS);
+    setScope({ project: "", tag: "" });
     setPage("dashboard");
   };
 
+  // Kept as the same arrays until the tasks change, so pages can memoize on them.
+  const live = useMemo(() => tasks.filter(t => !t.deletedAt), [tasks]);
+  const trash = useMemo(() => tasks.filter(t => t.deletedAt), [tasks]);
+
   const navItems = [
     { id: "dashboard", label: "Dashboard", icon: Icon.Dashboard },
+    { id: "today", label: "Today", icon: Icon.Today },
+    { id: "calendar", label: "Calendar", icon: Icon.Calendar },
     { id: "analytics", label: "Analytics", icon: Icon.Chart },
     { id: "ai", label: "AI Suggestions", icon: Icon.AI },
+    { id: "focus", label: "Focus", icon: Icon.Focus },
+    { id: "trash", label: trash.length ? `Trash (${trash.length})` : "Trash", icon: Icon.Trash },
+    { id: "team", label: "Team", icon: Icon.Team },
+    { id: "data", label: "Import / Export", icon: Icon.Data },
+    { id: "settings", label: "Settings", icon: Icon.Settings },
   ];
 
-  const pageTitles = { dashboard: "Dashboard", analytics: "Analytics", ai: "AI Suggestions" };
+  const pageTitles = { dashboard: "Dashboard", today: "Today", calendar: "Calendar", analytics: "Analytics", ai: "AI Suggestions", focus: "Focus Mode", trash: "Trash", team: "Team Workspaces", data: "Import & Export", settings: "Settings" };
+
+  const saveProjects = (list) => { setProjects(list); DB.saveProjects(user.id, list); };
+  const saveSettings = (s) => { setSettings(s); DB.saveSettings(user.id, s); };
+  const saveEvents = (list) => { setEvents(list); DB.saveEvents(user.id, list); };
+  const saveChoices = (list) => { setChoices(list); DB.saveChoices(user.id, list); };
+  const ranking = useMemo(() => AIEngine.rankingWeights(settings, choices), [settings.adaptive, settings.weights, choices]);
+
+  const workspace = workspaces.find(w => w.id === workspaceId) || null;
+  const readOnly = !!workspace && !hasRole(workspace, user?.id, "editor");
+
+  // Every change to the full list (Trash included) ends up here; it goes to the personal list or the open workspace's
+  // shared one. Completing a single task is a choice among everything else that was open — recorded for the learned
+  // ranking unless `learn` is off (imports, restores and undo aren't choices). Every change lands in the activity log
+  // and, unless `record` is off, on the undo stack.
+  // Only the tasks that changed are sent, each with the version it was based on: the one shown here, unless `bases`
+  // names another (TaskModal's copy from when it was opened). Other tabs' edits are merged in; clashes are asked about.
+  const commitTasks = (changed, { learn = true, record = true, bases = {} } = {}) => {
+    if (readOnly) return setToast({ text: "Viewers can't change tasks in this workspace." });
+    const now = new Date().toISOString();
+    const prev = new Map(tasks.map(t => [t.id, t]));
+    const baseOf = (id) => id in bases ? bases[id] : prev.get(id) || null;
+    const put = changed.filter(t => prev.get(t.id) !== t).map(t => ({ task: { ...t, rev: (baseOf(t.id)?.rev || 0) + 1, updatedAt: now }, base: baseOf(t.id) }));
+    const ids = new Set(changed.map(t => t.id));
+    const remove = tasks.filter(t => !ids.has(t.id)).map(t => ({ id: t.id, base: baseOf(t.id) }));
+    const stamped = new Map(put.map(p => [p.task.id, p.task]));
+    const list = changed.map(t => stamped.get(t.id) || t);
+    const picked = list.filter(t => t.completed && !t.deletedAt && live.some(x => x.id === t.id && !x.completed));
+    const choice = learn && picked.length === 1 && AIEngine.choiceFor(live, picked[0].id, { bias: AIEngine.estimationBias(live), weights: ranking.weights });
+    if (choice) saveChoices([...choices, choice].slice(-MAX_CHOICES));
+    const entries = taskActivity(tasks, list, { by: user.id, byName: user.name });
+    if (entries.length) {
+      setActivity(log => [...log, ...entries]);
+      DB.appendActivity(user.id, workspaceId, entries).catch(console.error);
+    }
+    if (record) {
+      const label = historyLabel(entries);
+      setHistory(h => ({ past: [...h.past, { before: tasks, after: list, label }].slice(-MAX_HISTORY), future: [] }));
+      if (entries.length) setToast({ text: label, action: "undo" });
+    }
+    setTasks(list);
+    if (!put.length && !remove.length) return;
+    DB.updateTasks(user.id, workspaceId, { put, remove }).then(settle).catch(err => {
+      console.error(err);
+      if (err.status === 403 || err.status === 404) refreshWorkspaces(); // role changed or workspace gone meanwhile
+    });
+  };
+  // What a save reports back. Merged or clashing edits mean the stored list moved on, so it's reloaded; `pending` is
+  // what's left in server mode's outbox.
+  const settle = ({ conflicts, merged, pending }) => {
+    if (merged || conflicts.length) reloadTasks();
+    if (conflicts.length) setConflicts(list => [...list.filter(c => !conflicts.some(x => x.id === c.id)), ...conflicts]);
+    if (pending) setPending(pending);
+  };
+  const flushOutbox = () => DB.flushOutbox(user.id).then(settle).catch(console.error);
+  // Brings in what's stored now, keeping local versions that are ahead of it (saves still on their way).
+  const reloadTasks = () => (workspaceId ? DB.getWorkspaceTasks(workspaceId, user.id) : DB.getTasks(user.id))
+    .then(stored => setTasks(current => reconcileTasks(current, stored)))
+    .catch(console.error);
+  // keep: the task to save (null = delete it for good) or undefined to accept theirs. Either way it's written on top
+  // of theirs, so it goes through as a plain update.
+  const resolveConflict = (conflict, keep) => {
+    setConflicts(list => list.filter(c => c !== conflict));
+    if (keep === undefined) return reloadTasks();
+    const rest = tasks.filter(t => t.id !== conflict.id);
+    const list = !keep ? rest : tasks.some(t => t.id === conflict.id) ? tasks.map(t => t.id === conflict.id ? keep : t) : [...tasks, keep];
+    commitTasks(list, { learn: false, bases: { [conflict.id]: conflict.theirs } });
+  };
+
+  // Other tabs announce their writes (Sync); reload whatever this tab is showing of it.
+  useEffect(() => {
+    if (!user) return;
+    return Sync.subscribe(({ kind, id, shared }) => {
+      const openList = shared ? id === workspaceId : !workspaceId && id === user.id;
+      if (kind === "outbox" && id === user.id) DB.getOutbox(id).then(list => setPending(list.map(e => e.id))).catch(console.error);
+      if ((kind === "tasks" || kind === "outbox") && openList) reloadTasks();
+      else if (kind === "comments" && openList) DB.getComments(user.id, workspaceId).then(setComments).catch(console.error);
+      else if (kind === "activity" && openList) DB.getActivity(user.id, workspaceId).then(setActivity).catch(console.error);
+      else if (kind === "workspaces") refreshWorkspaces();
+      else if (id !== user.id) return;
+      else if (kind === "projects") DB.getProjects(user.id).then(setProjects);
+      else if (kind === "settings") DB.getSettings(user.id).then(setSettings);
+      else if (kind === "events") DB.getEvents(user.id).then(setEvents);
+      else if (kind === "choices") DB.getChoices(user.id).then(setChoices);
+    });
+  }, [user, workspaceId]);
+
+  // Server mode replays the outbox on start, when the connection is back, and when the service worker's Background
+  // Sync says so.
+  useEffect(() => {
+    if (!user || DB.mode !== "server") return;
+    const onOnline = () => { setOnline(true); flushOutbox(); };
+    const onOffline = () => setOnline(false);
+    const onMessage = (e) => e.data?.type === "flush-outbox" && flushOutbox();
+    flushOutbox();
+    window.addEventListener("online", onOnline);
+    window.addEventListener("offline", onOffline);
+    navigator.serviceWorker?.addEventListener("message", onMessage);
+    return () => {
+      window.removeEventListener("online", onOnline);
+      window.removeEventListener("offline", onOffline);
+      navigator.serviceWorker?.removeEventListener("message", onMessage);
+    };
+  }, [user, workspaceId]);
+  // Pages only see live tasks. One missing from the list they hand back was deleted there, so it goes to the Trash;
+  // one that comes back under a trashed task's id (e.g. re-imported) replaces the trashed copy.
+  const saveTasks = (list, options) => {
+    const ids = new Set(list.map(t => t.id));
+    const removed = live.filter(t => !ids.has(t.id)).map(t => trashTask(t, user.id));
+    commitTasks([...list, ...trash.filter(t => !ids.has(t.id)), ...removed], options);
+  };
+  const restoreFromTrash = (ids) => commitTasks(tasks.map(t => ids.includes(t.id) ? restoreTask(t) : t), { learn: false });
+  const purgeFromTrash = (ids) => commitTasks(tasks.filter(t => !ids.includes(t.id)), { learn: false });
+
+  const undo = () => {
+    const step = history.past[history.past.length - 1];
+    if (!step || readOnly) return;
+    commitTasks(step.before, { learn: false, record: false });
+    setHistory(h => ({ past: h.past.slice(0, -1), future: [step, ...h.future] }));
+    setToast({ text: `Undone: ${step.label}`, action: "redo" });
+  };
+  const redo = () => {
+    const step = history.future[0];
+    if (!step || readOnly) return;
+    commitTasks(step.after, { learn: false, record: false });
+    setHistory(h => ({ past: [...h.past, step], future: h.future.slice(1) }));
+    setToast({ text: `Redone: ${step.label}`, action: "undo" });
+  };
+
+  // Ctrl/⌘+Z undoes, Ctrl/⌘+Shift+Z or Ctrl+Y redoes — except in text fields, which keep their own undo.
+  useEffect(() => {
+    if (!user) return;
+    const onKey = (e) => {
+      if (!(e.metaKey || e.ctrlKey) || e.altKey || e.target.closest?.("input, textarea, select, [contenteditable]")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) undo();
+      else if (key === "y" || (key === "z" && e.shiftKey)) redo();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  useEffect(() => {
+    if (!toast) return;
+    const id = setTimeout(() => setToast(null), TOAST_MS);
+    return () => clearTimeout(id);
+  }, [toast]);
+
+  // Purges whatever has been in the Trash longer than settings.trashDays. Waits for the saved settings (a new object,
+  // never DEFAULT_SETTINGS itself) so a longer retention isn't cut short by the default while they load.
+  useEffect(() => {
+    if (!user || readOnly || settings === DEFAULT_SETTINGS) return;
+    const due = trash.filter(t => purgeDue(t, settings.trashDays));
+    if (due.length) commitTasks(tasks.filter(t => !due.includes(t)), { learn: false, record: false });
+  }, [tasks, settings, readOnly]);
+
+  const switchWorkspace = (id) => {
+    setWorkspaceId(id);
+    setTasks([]);
+    setHistory({ past: [], future: [] });
+    setToast(null);
+    setConflicts([]);
+    (id ? DB.getWorkspaceTasks(id, user.id) : DB.getTasks(user.id)).then(setTasks).catch(console.error);
+    loadDiscussion(user.id, id);
+  };
+  const addComment = async (taskId, body, parentId) => {
+    const comment = {
+      id: Date.now().toString(), taskId, parentId, by: user.id, byName: user.name, at: new Date().toISOString(),
+      body, mentions: findMentions(body, workspace?.members),
+    };
+    setComments(await DB.addComment(user.id, workspaceId, comment));
+  };
+  const deleteComment = async (id) => setComments(await DB.deleteComment(user.id, workspaceId, id));
+  const refreshWorkspaces = async () => {
+    const list = await DB.getWorkspaces(user.id);
+    setWorkspaces(list);
+    if (workspaceId && !list.some(w => w.id === workspaceId)) switchWorkspace("");
+  };
+  const scopedTasks = live.filter(t => inScope(t, scope));
+  const tags = allTags(live);
+
+  if (booting) return <style>{CSS}</style>;
 
   if (!user) return (
     <>
       <style>{CSS}</style>
-      <div className={darkMode ? "" : "light"}><AuthPage onLogin={handleLogin} /></div>
+      <div className={darkMode ? "" : "light"}><AuthPage onLogin={handleLogin} notice={authNotice} /></div>
     </>
   );
 
@@ -699,12 +4913,24 @@ export default function App() {
           {/* Sidebar */}
           <div className="sidebar">
             <div className="sidebar-logo">⚡ TaskFlow AI</div>
+            {workspaces.length > 0 && (
+              <select className="workspace-switch" value={workspaceId} onChange={e => switchWorkspace(e.target.value)}>
+                <option value="">👤 Personal</option>
+                {workspaces.map(w => <option key={w.id} value={w.id}>👥 {w.name}</option>)}
+              </select>
+            )}
             {navItems.map(n => (
               <button key={n.id} className={`nav-item ${page === n.id ? "active" : ""}`} onClick={() => setPage(n.id)}>
                 <n.icon /> {n.label}
               </button>
             ))}
             <div className="sidebar-bottom">
+              {DB.mode === "server" && (!online || pending.length > 0) && (
+                <button className={`sync-status ${online ? "" : "offline"}`} title="Saved on this device; sent to the server once it can be reached" onClick={flushOutbox}>
+                  {online ? "⏳" : "📴 Offline"}
+                  {pending.length > 0 && ` ${pending.length} change${pending.length === 1 ? "" : "s"} waiting to sync`}
+                </button>
+              )}
               <div className="user-chip" style={{ marginBottom: 12 }}>
                 <div className="avatar">{user.name[0].toUpperCase()}</div>
                 <div className="user-info">
@@ -715,6 +4941,9 @@ export default function App() {
               <button className="nav-item" onClick={handleLogout} style={{ color: "var(--muted)" }}>
                 <Icon.Logout /> Sign Out
               </button>
+              <button className="nav-item" onClick={handleLogoutEverywhere} style={{ color: "var(--muted)", fontSize: 12 }}>
+                <Icon.Logout /> Sign Out Everywhere
+              </button>
             </div>
           </div>
 
@@ -723,6 +4952,18 @@ export default function App() {
             <div className="topbar">
               <div className="page-title">{pageTitles[page]}</div>
               <div className="topbar-actions">
+                {(projects.length > 0 || tags.length > 0) && (
+                  <div className="scope-filter">
+                    <select value={scope.project} onChange={e => setScope(s => ({ ...s, project: e.target.value }))}>
+                      <option value="">All projects</option>
+                      {projects.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                    </select>
+                    <select value={scope.tag} onChange={e => setScope(s => ({ ...s, tag: e.target.value }))}>
+                      <option value="">All tags</option>
+                      {tags.map(t => <option key={t} value={t}>#{t}</option>)}
+                    </select>
+                  </div>
+                )}
                 <span style={{ fontSize: 12, color: "var(--muted)" }}>{darkMode ? "🌙" : "☀️"}</span>
                 <div className={`toggle-dark ${darkMode ? "" : "light-mode"}`} onClick={() => setDarkMode(d => !d)}>
                   <div className="toggle-dark-knob" />
@@ -731,11 +4972,30 @@ export default function App() {
               </div>
             </div>
 
-            {page === "dashboard" && <DashboardPage tasks={tasks} setTasks={setTasks} userId={user.id} />}
-            {page === "analytics" && <AnalyticsPage tasks={tasks} />}
-            {page === "ai" && <AISuggestionsPage tasks={tasks} />}
+            {page === "dashboard" && <DashboardPage tasks={live} saveTasks={saveTasks} userId={user.id} projects={projects} setProjects={saveProjects} scope={scope} settings={settings} saveSettings={saveSettings} events={events} weights={ranking.weights} members={workspace?.members || null} readOnly={readOnly} comments={comments} activity={activity} onComment={addComment} onDeleteComment={deleteComment} pending={pending} />}
+            {page === "today" && <TodayPage tasks={live} saveTasks={saveTasks} settings={settings} saveSettings={saveSettings} events={events} saveEvents={saveEvents} weights={ranking.weights} readOnly={readOnly} />}
+            {page === "calendar" && <CalendarPage tasks={live} saveTasks={saveTasks} scope={scope} settings={settings} saveSettings={saveSettings} readOnly={readOnly} />}
+            {page === "analytics" && <AnalyticsPage tasks={scopedTasks} projects={projects} members={workspace?.members || null} />}
+            {page === "ai" && <AISuggestionsPage tasks={scopedTasks} allTasks={live} settings={settings} saveSettings={saveSettings} events={events} ranking={ranking} choices={choices} onResetLearning={() => saveChoices([])} onStartFocus={() => setPage("focus")} />}
+            {page === "focus" && <FocusPage tasks={live} saveTasks={saveTasks} userId={user.id} settings={settings} saveSettings={saveSettings} weights={ranking.weights} readOnly={readOnly} />}
+            {page === "data" && <DataPage tasks={live} saveTasks={(list) => saveTasks(list, { learn: false })} projects={projects} setProjects={saveProjects} settings={settings} saveSettings={saveSettings} readOnly={readOnly} />}
+            {page === "trash" && <TrashPage trash={trash} userId={user.id} members={workspace?.members || null} settings={settings} saveSettings={saveSettings} readOnly={readOnly} onRestore={restoreFromTrash} onPurge={purgeFromTrash} />}
+            {page === "team" && <TeamPage user={user} workspaces={workspaces} workspaceId={workspaceId} onSwitch={switchWorkspace} onChange={refreshWorkspaces} />}
+            {page === "settings" && <SettingsPage user={user} tasks={live} settings={settings} saveSettings={saveSettings} ranking={ranking} />}
           </div>
         </div>
+        {toast && (
+          <div className="toast">
+            <span>{toast.text}</span>
+            {toast.action && <button className="toast-action" onClick={toast.action === "undo" ? undo : redo}>{toast.action === "undo" ? "Undo" : "Redo"}</button>}
+            <button className="toast-close" onClick={() => setToast(null)}>×</button>
+          </div>
+        )}
+        {conflicts.length > 0 && (
+          <ConflictDialog key={`${conflicts[0].id}-${conflicts[0].theirs?.rev}`} conflict={conflicts[0]} remaining={conflicts.length - 1}
+            context={{ tasks, projects, members: workspace?.members, columns: settings.board.columns }}
+            onResolve={keep => resolveConflict(conflicts[0], keep)} />
+        )}
       </div>
     </>
   );
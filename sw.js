@@ -0,0 +1,35 @@
+// TaskFlow service worker. The build (vite.config.js) fills in the placeholder below with this build's file list
+// and a content hash, so each deploy installs into a fresh cache and the previous one is dropped.
+const { version, files } = self.__PRECACHE
+const CACHE = `taskflow-${version}`
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(['./', ...files])).then(() => self.skipWaiting()))
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(key => key.startsWith('taskflow-') && key !== CACHE).map(key => caches.delete(key))))
+    .then(() => self.clients.claim()))
+})
+
+// Pages: network first, so a new deploy shows up on the next load, and the cached app shell when offline.
+// Our other files: cache first (their names are content-hashed). API calls and other origins pass straight through.
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.includes('/api/')) return
+  if (request.mode === 'navigate') {
+    event.respondWith(fetch(request).catch(() => caches.match('./', { cacheName: CACHE })))
+    return
+  }
+  event.respondWith(caches.match(request).then(hit => hit || fetch(request)))
+})
+
+// Background Sync fires once the connection is back, even for a tab left in the background; the page then replays
+// its outbox (it holds the session and does the merging, so the worker only passes the word on).
+self.addEventListener('sync', (event) => {
+  if (event.tag !== 'taskflow-outbox') return
+  event.waitUntil(self.clients.matchAll({ type: 'window' })
+    .then(clients => clients.forEach(client => client.postMessage({ type: 'flush-outbox' }))))
+})
@@ -1,9 +1,38 @@
+import fs from 'node:fs'
+import crypto from 'node:crypto'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Emits sw.js with the build's file list baked in, so the service worker precaches exactly this build.
+// Legacy .woff fonts are left out: every browser with service workers takes the .woff2 ones.
+const serviceWorker = () => ({
+  name: 'taskflow-service-worker',
+  apply: 'build',
+  enforce: 'post',
+  generateBundle(_, bundle) {
+    const hash = crypto.createHash('sha256')
+    const files = Object.values(bundle)
+      .filter(file => !file.fileName.endsWith('.woff'))
+      .map(file => {
+        hash.update(file.fileName).update(file.type === 'chunk' ? file.code : file.source)
+        return file.fileName
+      })
+    fs.readdirSync('public').forEach(name => {
+      hash.update(name).update(fs.readFileSync(`public/${name}`))
+      files.push(name)
+    })
+    const precache = { version: hash.digest('hex').slice(0, 12), files }
+    this.emitFile({
+      type: 'asset',
+      fileName: 'sw.js',
+      source: fs.readFileSync('sw.js', 'utf8').replace('self.__PRECACHE', JSON.stringify(precache)),
+    })
+  },
+})
+
 export default defineConfig({
   base: '/Smarttask-app/',
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   server: {
     port: 5173,
     open: true